@@ -0,0 +1,142 @@
+const { getViewerId, visibilityCondition } = require('./visibility');
+const { parseLimit } = require('./pagination');
+const { escapeLikePattern } = require('./text-search');
+
+const DEFAULT_SUGGESTIONS = 10;
+const MAX_SUGGESTIONS = 25;
+
+// Minimum pg_trgm word similarity for a fuzzy (non-substring) match
+const FUZZY_THRESHOLD = 0.4;
+
+// Where suggestions for each field come from. Every source yields one row per
+// use of a value, as (value, used), with the viewer id bound at $1. Starting
+// and ending positions share one vocabulary.
+const POSITION_SOURCE = `
+    SELECT p.starting_position AS value, 1 AS used FROM posts p WHERE ${visibilityCondition('p', 1)}
+    UNION ALL
+    SELECT p.ending_position AS value, 1 AS used FROM posts p WHERE ${visibilityCondition('p', 1)}
+`;
+
+const AUTOCOMPLETE_SOURCES = {
+    position: POSITION_SOURCE,
+    starting_position: POSITION_SOURCE,
+    ending_position: POSITION_SOURCE,
+    movement_type: `SELECT p.movement_type AS value, 1 AS used FROM posts p WHERE ${visibilityCondition('p', 1)}`,
+    practitioner: `SELECT p.practitioner AS value, 1 AS used FROM posts p WHERE ${visibilityCondition('p', 1)}`,
+    username: `
+        SELECT pr.username AS value, CASE WHEN p.id IS NULL THEN 0 ELSE 1 END AS used
+        FROM profiles pr
+        LEFT JOIN posts p ON p.owner_id = pr.user_id AND ${visibilityCondition('p', 1)}
+    `,
+};
+
+// Post fields that are steered toward existing spellings on create and edit
+const CANONICAL_POST_FIELDS = ['movement_type', 'starting_position', 'ending_position', 'practitioner'];
+
+// Values differing only in case or surrounding whitespace are one entry,
+// labelled with their most used spelling
+const suggestionQuery = (source, limit) => `
+    SELECT
+        mode() WITHIN GROUP (ORDER BY value) AS value,
+        SUM(used)::int AS usage_count,
+        bool_or(lower(trim(value)) = lower(trim($2))) AS is_exact,
+        bool_or(lower(value) LIKE $3) AS is_prefix,
+        MAX(word_similarity(lower($2), lower(value)))::float AS similarity
+    FROM (${source}) used_values
+    WHERE value IS NOT NULL AND trim(value) <> ''
+      AND (
+          $2 = ''
+          OR lower(value) LIKE $4
+          OR word_similarity(lower($2), lower(value)) >= ${FUZZY_THRESHOLD}
+      )
+    GROUP BY lower(trim(value))
+    ORDER BY is_exact DESC, is_prefix DESC, usage_count DESC, similarity DESC, value ASC
+    LIMIT ${limit}
+`;
+
+const findSuggestions = async (db, field, query, viewerId, limit) => {
+    const normalized = query.trim().toLowerCase();
+    const [rows] = await db.execute(
+        suggestionQuery(AUTOCOMPLETE_SOURCES[field], limit),
+        [viewerId, normalized, `${escapeLikePattern(normalized)}%`, `%${escapeLikePattern(normalized)}%`]
+    );
+    return rows;
+};
+
+// Replace free-text post fields with the established spelling of the same
+// value ("closed guard " -> "Closed Guard") and collect close alternatives for
+// values nobody has used yet. Returns { values, suggestions }.
+const canonicalizePostFields = async (db, fields, user) => {
+    const values = { ...fields };
+    const suggestions = {};
+
+    for (const field of CANONICAL_POST_FIELDS) {
+        const value = fields[field];
+        if (typeof value !== 'string' || value.trim() === '') continue;
+
+        const matches = await findSuggestions(db, field, value, getViewerId(user), 5);
+        if (matches.length > 0 && matches[0].is_exact) {
+            values[field] = matches[0].value;
+        } else {
+            values[field] = value.trim();
+            if (matches.length > 0) {
+                suggestions[field] = matches.map((match) => match.value);
+            }
+        }
+    }
+
+    return { values, suggestions };
+};
+
+// Handle Autocomplete
+const handleAutocomplete = async (event, db, user) => {
+    const { field = '', q = '', limit = '' } = event.queryStringParameters || {};
+
+    if (!AUTOCOMPLETE_SOURCES[field]) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `field must be one of: ${Object.keys(AUTOCOMPLETE_SOURCES).join(', ')}` })
+        };
+    }
+
+    if (q.length > 100) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Query is too long' })
+        };
+    }
+
+    try {
+        const rows = await findSuggestions(
+            db, field, q, getViewerId(user),
+            parseLimit(limit, DEFAULT_SUGGESTIONS, MAX_SUGGESTIONS)
+        );
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                field,
+                query: q,
+                suggestions: rows.map((row) => ({
+                    value: row.value,
+                    usage_count: row.usage_count,
+                    match: row.is_exact ? 'exact' : row.is_prefix ? 'prefix' : 'fuzzy'
+                }))
+            })
+        };
+    } catch (error) {
+        console.error('Error fetching autocomplete suggestions:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                error: 'Failed to fetch suggestions',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            })
+        };
+    }
+};
+
+module.exports = {
+    handleAutocomplete,
+    canonicalizePostFields,
+};
@@ -0,0 +1,217 @@
+const { canView } = require('./visibility');
+const { ALLOWED_LANGUAGES, PUBLIC_STATUSES } = require('./post-handlers');
+const { appendEntryQuery, checkGamePlanOwnership } = require('./game-plan-handlers');
+const { recordRevision, ensureBaselineRevision } = require('./post-revisions');
+const { isUuid } = require('./ids');
+
+// Most posts one request may touch, so a batch (including revision history
+// for older posts) finishes within the Lambda timeout
+const MAX_BULK_POSTS = 100;
+
+const BULK_ACTIONS = ['update', 'add_to_game_plan', 'remove_from_game_plan', 'delete'];
+
+// Post fields the update action can set
+const BULK_UPDATE_FIELDS = ['public_status', 'language', 'gi_nogi'];
+
+// Check the body of a bulk request. Returns an error message, or null.
+const validateBulkRequest = ({ action, post_ids: postIds, changes, game_plan_id: gamePlanId, section_id: sectionId }) => {
+    if (!BULK_ACTIONS.includes(action)) {
+        return `action must be one of: ${BULK_ACTIONS.join(', ')}`;
+    }
+
+    if (!Array.isArray(postIds) || postIds.length === 0 || !postIds.every((id) => typeof id === 'string')) {
+        return 'post_ids must be a non-empty array of post ids';
+    }
+    if (postIds.length > MAX_BULK_POSTS) {
+        return `At most ${MAX_BULK_POSTS} posts can be changed at once`;
+    }
+
+    if (action === 'update') {
+        if (!changes || typeof changes !== 'object' || !BULK_UPDATE_FIELDS.some((field) => changes[field] !== undefined)) {
+            return `changes must set at least one of: ${BULK_UPDATE_FIELDS.join(', ')}`;
+        }
+        if (changes.public_status !== undefined && !PUBLIC_STATUSES.includes(changes.public_status)) {
+            return 'Public status must be either "public", "private", or "subscribers"';
+        }
+        if (changes.language !== undefined && !ALLOWED_LANGUAGES.includes(changes.language)) {
+            return `Language must be one of: ${ALLOWED_LANGUAGES.join(', ')}`;
+        }
+        if (changes.gi_nogi !== undefined && (typeof changes.gi_nogi !== 'string' || changes.gi_nogi.trim() === '')) {
+            return 'gi_nogi must be a non-empty string';
+        }
+    }
+
+    if (action === 'add_to_game_plan' || action === 'remove_from_game_plan') {
+        if (!gamePlanId || typeof gamePlanId !== 'string') {
+            return 'game_plan_id is required for game plan actions';
+        }
+        if (sectionId !== undefined && sectionId !== null && typeof sectionId !== 'string') {
+            return 'section_id must be a section id or null';
+        }
+    }
+
+    return null;
+};
+
+// Apply `action` to one post the caller owns; returns its outcome
+const applyBulkAction = async (db, post, user, { action, changes, gamePlanId, sectionId }) => {
+    switch (action) {
+        case 'update': {
+            const updates = BULK_UPDATE_FIELDS.filter((field) => changes[field] !== undefined && changes[field] !== post[field]);
+            if (updates.length === 0) {
+                return { status: 'unchanged' };
+            }
+
+            await ensureBaselineRevision(db, post.id, user.user_id);
+            await db.execute(
+                `UPDATE posts
+                 SET ${updates.map((field, index) => `${field} = $${index + 2}`).join(', ')},
+                     updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [post.id, ...updates.map((field) => changes[field])]
+            );
+            const revision = await recordRevision(db, post.id, user.user_id, {
+                fields: { ...post, ...Object.fromEntries(updates.map((field) => [field, changes[field]])) }
+            });
+            return { status: 'updated', changed_fields: updates, revision };
+        }
+        case 'add_to_game_plan': {
+            const [inserted] = await db.execute(appendEntryQuery, [gamePlanId, post.id, sectionId || null, null]);
+            return { status: inserted.length > 0 ? 'updated' : 'unchanged' };
+        }
+        case 'remove_from_game_plan': {
+            const [deleted] = await db.execute(
+                'DELETE FROM game_plan_posts WHERE game_plan_id = $1 AND post_id = $2 RETURNING post_id',
+                [gamePlanId, post.id]
+            );
+            return { status: deleted.length > 0 ? 'updated' : 'unchanged' };
+        }
+        case 'delete':
+            // Same as /deletepost: the post goes to the trash
+            await db.execute('UPDATE posts SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1', [post.id]);
+            return { status: 'deleted' };
+        default:
+            throw new Error(`Unknown bulk action: ${action}`);
+    }
+};
+
+// Handle Bulk Post Operation
+//
+// Applies one action to many posts in a single transaction. Posts the caller
+// doesn't own are skipped and reported per item; any database error rolls
+// the whole batch back.
+const handleBulkPostOperation = async (event, db, user) => {
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body || '{}');
+    } catch (error) {
+        console.error("Error parsing request body:", error);
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: "Invalid request body format" })
+        };
+    }
+
+    const validationError = validateBulkRequest(requestBody);
+    if (validationError) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: validationError })
+        };
+    }
+
+    const { action, changes, game_plan_id: gamePlanId, section_id: sectionId } = requestBody;
+    // Ids come back from Postgres in lowercase
+    const postIds = [...new Set(requestBody.post_ids.map((id) => id.toLowerCase()))];
+
+    try {
+        if (gamePlanId && action !== 'update' && action !== 'delete') {
+            // A malformed id can't name a plan or section, and would fail the uuid cast
+            if (!isUuid(gamePlanId)) {
+                return {
+                    statusCode: 404,
+                    body: JSON.stringify({ error: 'Game plan not found' })
+                };
+            }
+
+            const ownershipError = await checkGamePlanOwnership(db, gamePlanId, user);
+            if (ownershipError) {
+                return ownershipError;
+            }
+
+            if (action === 'add_to_game_plan' && sectionId) {
+                const [sections] = isUuid(sectionId)
+                    ? await db.execute(
+                        'SELECT id FROM game_plan_sections WHERE id = $1 AND game_plan_id = $2',
+                        [sectionId, gamePlanId]
+                    )
+                    : [[]];
+                if (sections.length === 0) {
+                    return {
+                        statusCode: 404,
+                        body: JSON.stringify({ error: 'Section not found' })
+                    };
+                }
+            }
+        }
+
+        await db.beginTransaction();
+
+        // Entries are appended in request order, so keep other layout
+        // changes to the plan out until this batch is done
+        if (action === 'add_to_game_plan') {
+            await db.execute('SELECT id FROM game_plans WHERE id = $1 FOR UPDATE', [gamePlanId]);
+        }
+
+        const [posts] = await db.execute(
+            'SELECT * FROM posts WHERE id = ANY($1::uuid[]) AND deleted_at IS NULL FOR UPDATE',
+            [postIds.filter(isUuid)]
+        );
+        const postsById = new Map(posts.map((post) => [post.id, post]));
+
+        const results = [];
+        for (const postId of postIds) {
+            const post = postsById.get(postId);
+
+            // Other users' private posts look missing, as everywhere else
+            if (!post || !canView(post, user)) {
+                results.push({ post_id: postId, status: 'not_found' });
+            } else if (post.owner_id !== user.user_id) {
+                results.push({ post_id: postId, status: 'forbidden' });
+            } else {
+                const outcome = await applyBulkAction(db, post, user, { action, changes, gamePlanId, sectionId });
+                results.push({ post_id: postId, ...outcome });
+            }
+        }
+
+        await db.commit();
+
+        const summary = results.reduce((counts, result) => {
+            counts[result.status] = (counts[result.status] || 0) + 1;
+            return counts;
+        }, {});
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                action,
+                results,
+                summary
+            })
+        };
+    } catch (error) {
+        if (db.connection.inTransaction) {
+            await db.rollback();
+        }
+
+        console.error('Error applying bulk post operation:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to apply bulk operation; no posts were changed', details: error.message })
+        };
+    }
+};
+
+module.exports = {
+    handleBulkPostOperation,
+};
@@ -0,0 +1,177 @@
+const { getViewerId, canView, visibilityCondition } = require('./visibility');
+const { parseLimit } = require('./pagination');
+const {
+    TOP_BOTTOM_VALUES,
+    LABEL_LANGUAGES,
+    loadTaxonomy,
+    parseLanguage,
+    localizedLabel,
+    findEntry,
+    positionWithDescendants,
+} = require('./taxonomy-handlers');
+const {
+    MAX_CHAIN_LENGTH,
+    graphPostColumns,
+    positionKey,
+    normalizeTopBottom,
+    buildTransitionGraph,
+    findChains,
+} = require('./transition-graph');
+
+const DEFAULT_CHAINS = 3;
+const MAX_CHAINS = 10;
+const DEFAULT_CHAIN_LENGTH = 4;
+
+// Without a game plan the graph is built from the newest visible posts only,
+// keeping memory and search time bounded as the post table grows
+const MAX_GRAPH_POSTS = 2000;
+
+// Build a node predicate for a position given as taxonomy id, label or free
+// text. Taxonomy positions also match the positions nested under them, so
+// "Guard" matches "Closed Guard".
+const positionMatcher = (taxonomy, position, topBottom) => {
+    const entry = findEntry(taxonomy.positions, position);
+    const side = topBottom ? normalizeTopBottom(topBottom) : null;
+
+    let matchesPosition;
+    if (entry) {
+        const ids = positionWithDescendants(taxonomy.positions, entry.id);
+        matchesPosition = (node) => ids.has(node.position_id);
+    } else {
+        const key = positionKey(null, position);
+        matchesPosition = (node) => !node.position_id && positionKey(null, node.position) === key;
+    }
+
+    return (node) => matchesPosition(node) && (!side || node.top_bottom === side);
+};
+
+// Handle Find Technique Chains
+const handleFindTechniqueChains = async (event, db, user) => {
+    const {
+        from = '',
+        to = '',
+        fromTopBottom = '',
+        toTopBottom = '',
+        gamePlanId = '',
+        limit = '',
+        maxLength = '',
+    } = event.queryStringParameters || {};
+
+    if (!from.trim() || !to.trim()) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Both from and to positions are required' })
+        };
+    }
+
+    const invalidSide = [fromTopBottom, toTopBottom]
+        .find((side) => side && !TOP_BOTTOM_VALUES.includes(normalizeTopBottom(side)));
+    if (invalidSide) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `Top/bottom must be one of: ${TOP_BOTTOM_VALUES.join(', ')}` })
+        };
+    }
+
+    const language = parseLanguage(event);
+    if (!language) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `Language must be one of: ${LABEL_LANGUAGES.join(', ')}` })
+        };
+    }
+
+    const viewerId = getViewerId(user);
+
+    try {
+        let posts;
+        let truncated = false;
+        if (gamePlanId) {
+            const [gamePlanResults] = await db.execute(
+                'SELECT owner_id, public_status, deleted_at FROM game_plans WHERE id = $1',
+                [gamePlanId]
+            );
+            if (gamePlanResults.length === 0 || !canView(gamePlanResults[0], user)) {
+                return {
+                    statusCode: 404,
+                    body: JSON.stringify({ error: 'Game plan not found' })
+                };
+            }
+
+            [posts] = await db.execute(`
+                SELECT ${graphPostColumns('p')}
+                FROM posts p
+                JOIN game_plan_posts gpp ON p.id = gpp.post_id
+                WHERE gpp.game_plan_id = $1
+                  AND ${visibilityCondition('p', 2)}
+                ORDER BY p.created_at, p.id
+            `, [gamePlanId, viewerId]);
+        } else {
+            [posts] = await db.execute(`
+                SELECT ${graphPostColumns('p')}
+                FROM posts p
+                WHERE ${visibilityCondition('p', 1)}
+                ORDER BY p.created_at DESC, p.id DESC
+                LIMIT ${MAX_GRAPH_POSTS + 1}
+            `, [viewerId]);
+
+            truncated = posts.length > MAX_GRAPH_POSTS;
+            posts = posts.slice(0, MAX_GRAPH_POSTS).reverse();
+        }
+
+        const taxonomy = await loadTaxonomy(db);
+        const graph = buildTransitionGraph(posts);
+        const chains = findChains(
+            graph,
+            positionMatcher(taxonomy, from, fromTopBottom),
+            positionMatcher(taxonomy, to, toTopBottom),
+            {
+                limit: parseLimit(limit, DEFAULT_CHAINS, MAX_CHAINS),
+                maxLength: parseLimit(maxLength, DEFAULT_CHAIN_LENGTH, MAX_CHAIN_LENGTH)
+            }
+        );
+
+        const nodesById = new Map(graph.nodes.map((node) => [node.id, node]));
+        const presentNode = (id) => {
+            const node = nodesById.get(id);
+            return {
+                id: node.id,
+                position_id: node.position_id,
+                position: node.position,
+                label: localizedLabel(taxonomy.positions, node.position_id, language) || node.position,
+                top_bottom: node.top_bottom
+            };
+        };
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                from,
+                to,
+                game_plan_id: gamePlanId || null,
+                language,
+                // Only the newest posts were searched; pass gamePlanId to search a whole plan
+                truncated,
+                chains: chains.map((chain) => ({
+                    length: chain.edges.length,
+                    post_count: chain.edges.reduce((total, edge) => total + edge.count, 0),
+                    steps: chain.edges.map((edge) => ({
+                        from: presentNode(edge.source),
+                        to: presentNode(edge.target),
+                        posts: edge.posts
+                    }))
+                }))
+            })
+        };
+    } catch (error) {
+        console.error('Error finding technique chains:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to find technique chains', details: error.message })
+        };
+    }
+};
+
+module.exports = {
+    handleFindTechniqueChains,
+};
@@ -24,7 +24,9 @@ const getDBConfig = async () => {
     user: process.env.DB_USER,
     password: process.env.DB_PASSWORD,
     database: process.env.DB_NAME,
-    port: parseInt(process.env.DB_PORT || '5432', 10) // Default PostgreSQL port
+    port: parseInt(process.env.DB_PORT || '5432', 10), // Default PostgreSQL port
+    // RDS requires SSL; a local Postgres usually doesn't support it (DB_SSL=false)
+    ssl: process.env.DB_SSL !== 'false'
   };
   
   console.log(`Database configuration loaded for host: ${cachedDbConfig.host}`);
@@ -54,9 +56,9 @@ const getDBConnection = async () => {
       // Optimize for Lambda - don't create too many connections
       min: 0,
       // Enable SSL but allow unauthorized certificates
-      ssl: {
+      ssl: dbConfig.ssl ? {
         rejectUnauthorized: false
-      },
+      } : false,
       // Add statement timeout to prevent long-running queries
       statement_timeout: 5000
     });
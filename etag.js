@@ -0,0 +1,53 @@
+// Optimistic concurrency for post and game plan edits.
+//
+// Both tables are versioned by updated_at. Views return the version as an
+// ETag; an edit sent with If-Match is refused with 412 when the stored version
+// has moved on, so a stale tab can't silently overwrite newer changes. Edits
+// without If-Match keep overwriting as before.
+
+// ETag for a row's updated_at (millisecond precision, as pg returns it)
+const versionTag = (updatedAt) => `"${new Date(updatedAt).getTime()}"`;
+
+const getIfMatch = (event) => {
+    const headers = event.headers || {};
+    const name = Object.keys(headers).find((header) => header.toLowerCase() === 'if-match');
+    return name ? headers[name] : null;
+};
+
+// Whether the request asked for a conditional edit at all
+const hasIfMatch = (event) => Boolean(getIfMatch(event));
+
+// True when the request sent no If-Match, or one naming the row's version
+const ifMatchSatisfied = (event, updatedAt) => {
+    const ifMatch = getIfMatch(event);
+    if (!ifMatch) {
+        return true;
+    }
+
+    const current = versionTag(updatedAt);
+    return ifMatch.split(',')
+        .map((tag) => tag.trim().replace(/^W\//, ''))
+        .some((tag) => tag === '*' || tag === current);
+};
+
+// SQL condition holding `column` to the version read at $paramIndex; bind the
+// updated_at Date that was checked against If-Match
+const versionCondition = (column, paramIndex) => `date_trunc('milliseconds', ${column}) = $${paramIndex}`;
+
+const preconditionFailed = (resource, updatedAt) => ({
+    statusCode: 412,
+    headers: { ETag: versionTag(updatedAt) },
+    body: JSON.stringify({
+        error: `${resource} has been changed since it was loaded`,
+        current_version: versionTag(updatedAt),
+        updated_at: updatedAt
+    })
+});
+
+module.exports = {
+    versionTag,
+    hasIfMatch,
+    ifMatchSatisfied,
+    versionCondition,
+    preconditionFailed,
+};
@@ -1,4 +1,40 @@
 const { authenticateToken } = require('./auth');
+const { getViewerId, isOwner, canView, visibilityCondition } = require('./visibility');
+const { parseLimit, encodeCursor, decodeCursor, keysetCondition, countWithCap } = require('./pagination');
+const { LABEL_LANGUAGES, loadTaxonomy, parseLanguage, localizedLabel, positionWithDescendants } = require('./taxonomy-handlers');
+const { graphPostColumns, buildTransitionGraph, analyzeCoverage } = require('./transition-graph');
+const { isUuid } = require('./ids');
+const { versionTag, hasIfMatch, ifMatchSatisfied, versionCondition, preconditionFailed } = require('./etag');
+
+// Fork lineage columns for game plans aliased as `alias`; pair with
+// presentForkAttribution
+const forkColumns = (alias) => `
+    ${alias}.forked_from_id,
+    ${alias}.forked_from_owner_id,
+    (SELECT COUNT(*)::int FROM game_plans forks WHERE forks.forked_from_id = ${alias}.id AND forks.deleted_at IS NULL) AS fork_count,
+    (SELECT json_build_object('id', src.id, 'name', src.name, 'owner_id', src.owner_id, 'public_status', src.public_status, 'deleted_at', src.deleted_at)
+     FROM game_plans src WHERE src.id = ${alias}.forked_from_id) AS forked_from_plan,
+    (SELECT username FROM profiles WHERE user_id = ${alias}.forked_from_owner_id) AS forked_from_username
+`;
+
+// Replace the raw lineage columns of a row with a `forked_from` attribution.
+// The original author is always credited; the original plan is only linked
+// while the viewer may still see it.
+const presentForkAttribution = (row, user) => {
+    const source = row.forked_from_plan;
+    row.forked_from = row.forked_from_id || row.forked_from_owner_id
+        ? {
+            game_plan_id: source && canView(source, user) ? source.id : null,
+            name: source && canView(source, user) ? source.name : null,
+            username: row.forked_from_username || null
+        }
+        : null;
+    delete row.forked_from_id;
+    delete row.forked_from_owner_id;
+    delete row.forked_from_plan;
+    delete row.forked_from_username;
+    return row;
+};
 
 const handleNewGamePlan = async (event, db, user) => {
     // Parse request body
@@ -49,18 +85,33 @@ const handleNewGamePlan = async (event, db, user) => {
     }
 };
 
-const handleSearchGamePlans = async (event, db) => {
+const handleSearchGamePlans = async (event, db, user) => {
     const {
         search = '',
         createdBy = '',
         publicStatus = '',
         language = '',
         sortOption = 'newToOld',
+        cursor = '',
+        limit = '',
     } = event.queryStringParameters || {};
 
-    console.log("Extracted parameters:", { search, createdBy, publicStatus, language, sortOption });
+    console.log("Extracted parameters:", { search, createdBy, publicStatus, language, sortOption, cursor, limit });
 
     const sortOrder = sortOption === 'oldToNew' ? 'ASC' : 'DESC';
+    const pageSize = parseLimit(limit);
+
+    const cursorKind = `gameplans:date:${sortOrder}`;
+    let cursorValues = null;
+    if (cursor) {
+        cursorValues = decodeCursor(cursor, cursorKind, 2);
+        if (!cursorValues) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: 'Invalid or expired cursor' })
+            };
+        }
+    }
 
     try {
         let ownerUserId = null;
@@ -78,7 +129,7 @@ const handleSearchGamePlans = async (event, db) => {
                 console.log(`No user found with username "${createdBy}"`);
                 return {
                     statusCode: 200,
-                    body: JSON.stringify({ game_plans: [], count: 0 })
+                    body: JSON.stringify({ game_plans: [], count: 0, next_cursor: null, total_estimate: 0, total_is_exact: true })
                 };
             }
         }
@@ -113,39 +164,73 @@ const handleSearchGamePlans = async (event, db) => {
         }
 
         // Add privacy conditions
-        conditions.push(`(
-            g.public_status = 'public' OR 
-            g.public_status = 'subscribers' OR 
-            (g.public_status = 'private' AND g.owner_id = $${paramCounter})
-        )`);
-        queryParams.push(ownerUserId);  // Add the ownerUserId here
-        paramCounter++;  // Increment after adding the second parameter
+        conditions.push(visibilityCondition('g', paramCounter));
+        queryParams.push(getViewerId(user));
+        paramCounter++;
 
         const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const fromClause = `
+            FROM game_plans g
+            JOIN profiles p ON g.owner_id = p.user_id
+            ${whereClause}
+        `;
+
+        const totals = await countWithCap(db, fromClause, queryParams);
+
+        // id breaks ties between plans created at the same instant
+        const sortKeys = [
+            { expr: 'g.created_at', direction: sortOrder },
+            { expr: 'g.id', direction: sortOrder },
+        ];
+
+        const pageParams = [...queryParams];
+        let cursorClause = '';
+        if (cursorValues) {
+            const keyset = keysetCondition(sortKeys, cursorValues, paramCounter);
+            cursorClause = `${whereClause ? 'AND' : 'WHERE'} ${keyset.clause}`;
+            pageParams.push(...keyset.params);
+            paramCounter += keyset.params.length;
+        }
 
         const fullQuery = `
             SELECT 
                 g.id, g.name, g.description, g.language, g.public_status,
                 g.created_at, g.updated_at,
                 p.username as owner_name, p.belt, p.academy, p.avatar_url,
-                (SELECT COUNT(*) FROM game_plan_posts gpp WHERE gpp.game_plan_id = g.id) as post_count
-            FROM game_plans g
-            JOIN profiles p ON g.owner_id = p.user_id
-            ${whereClause}
-            ORDER BY g.created_at ${sortOrder}
+                (SELECT COUNT(*) FROM game_plan_posts gpp JOIN posts cp ON cp.id = gpp.post_id WHERE gpp.game_plan_id = g.id AND cp.deleted_at IS NULL) as post_count,
+                ${forkColumns('g')},
+                g.created_at::text AS cursor_created_at
+            ${fromClause}
+            ${cursorClause}
+            ORDER BY ${sortKeys.map((key) => `${key.expr} ${key.direction}`).join(', ')}
+            LIMIT ${pageSize + 1}
         `;
 
         console.log("Executing search game plans query:", fullQuery);
-        console.log("With parameters:", queryParams);
+        console.log("With parameters:", pageParams);
 
-        const [results] = await db.execute(fullQuery, queryParams);
+        const [rows] = await db.execute(fullQuery, pageParams);
+        const hasMore = rows.length > pageSize;
+        const results = rows.slice(0, pageSize);
         console.log(`Found ${results.length} game plans`);
 
+        let nextCursor = null;
+        if (hasMore) {
+            const last = results[results.length - 1];
+            nextCursor = encodeCursor(cursorKind, [last.cursor_created_at, last.id]);
+        }
+        results.forEach((row) => {
+            delete row.cursor_created_at;
+            presentForkAttribution(row, user);
+        });
+
         return {
             statusCode: 200,
             body: JSON.stringify({
                 game_plans: results,
-                count: results.length
+                count: results.length,
+                next_cursor: nextCursor,
+                ...totals
             })
         };
     } catch (error) {
@@ -160,7 +245,7 @@ const handleSearchGamePlans = async (event, db) => {
     }
 };
 
-const handleViewGamePlan = async (event, db) => {
+const handleViewGamePlan = async (event, db, user) => {
     const gamePlanId = event.pathParameters.id;
     if (!gamePlanId) {
         return {
@@ -172,40 +257,59 @@ const handleViewGamePlan = async (event, db) => {
     try {
         // Fetch game plan and owner profile in one go
         const [gamePlanResult] = await db.execute(`
-            SELECT gp.*, pr.name AS owner_name, pr.belt, pr.academy, pr.avatar_url
+            SELECT gp.*, pr.name AS owner_name, pr.belt, pr.academy, pr.avatar_url,
+                   ${forkColumns('gp')}
             FROM game_plans gp
             LEFT JOIN profiles pr ON gp.owner_id = pr.user_id
             WHERE gp.id = $1
         `, [gamePlanId]);
 
-        if (gamePlanResult.length === 0) {
+        // Private game plans look missing to everyone but their owner
+        if (gamePlanResult.length === 0 || !canView(gamePlanResult[0], user)) {
             return {
                 statusCode: 404,
                 body: JSON.stringify({ error: "Game plan not found" })
             };
         }
 
-        const gamePlan = gamePlanResult[0];
+        const gamePlan = presentForkAttribution(gamePlanResult[0], user);
+        gamePlan.is_owner = isOwner(gamePlan, user);
 
-        // Fetch related posts with all fields from the posts table
+        const [sections] = await db.execute(
+            'SELECT id, name, sort_order FROM game_plan_sections WHERE game_plan_id = $1 ORDER BY sort_order, created_at',
+            [gamePlanId]
+        );
+
+        // Fetch related posts with all fields from the posts table,
+        // leaving out private posts the viewer doesn't own. Unsectioned
+        // posts come first, then each section in order.
         const [posts] = await db.execute(`
             SELECT p.id, p.title, p.video_id, p.video_platform, pr.username,
                    p.movement_type, p.starting_position, p.ending_position,
                    p.starting_top_bottom, p.ending_top_bottom, p.gi_nogi,
                    p.practitioner, p.sequence_start_time, p.public_status,
                    p.language, p.notes_path, p.created_at, p.updated_at,
-                   pr.name AS owner_name, pr.belt, pr.academy, pr.avatar_url
+                   pr.name AS owner_name, pr.belt, pr.academy, pr.avatar_url,
+                   gpp.section_id, gpp.sort_order, gpp.annotation
             FROM posts p
             JOIN game_plan_posts gpp ON p.id = gpp.post_id
             JOIN profiles pr ON p.owner_id = pr.user_id
+            LEFT JOIN game_plan_sections gps ON gps.id = gpp.section_id
             WHERE gpp.game_plan_id = $1
-            ORDER BY p.created_at DESC
-        `, [gamePlanId]);
+              AND ${visibilityCondition('p', 2)}
+            ORDER BY gps.sort_order NULLS FIRST, gps.created_at, gpp.sort_order, p.created_at DESC
+        `, [gamePlanId, getViewerId(user)]);
 
         return {
             statusCode: 200,
+            headers: { ETag: versionTag(gamePlan.updated_at) },
             body: JSON.stringify({
                 game_plan: gamePlan,
+                sections: sections.map((section) => ({
+                    ...section,
+                    post_ids: posts.filter((post) => post.section_id === section.id).map((post) => post.id)
+                })),
+                unsectioned_post_ids: posts.filter((post) => post.section_id === null).map((post) => post.id),
                 posts
             })
         };
@@ -231,7 +335,7 @@ const handleListGamePlansWithStatus = async (event, db, user) => {
     try {
         // Get all the user's game plans
         const [gamePlans] = await db.execute(
-            `SELECT id, name FROM game_plans WHERE owner_id = $1`,
+            `SELECT id, name FROM game_plans WHERE owner_id = $1 AND deleted_at IS NULL`,
             [user.user_id]
         );
 
@@ -266,7 +370,19 @@ const handleListGamePlansWithStatus = async (event, db, user) => {
 
 const handleUpdateGamePlans = async (event, db, user) => {
     const postId = event.pathParameters?.id;
-    const { gamePlanUpdates } = JSON.parse(event.body);
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body || '{}');
+    } catch (error) {
+        console.error("Error parsing request body:", error);
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: "Invalid request body format" })
+        };
+    }
+
+    const { gamePlanUpdates } = requestBody;
 
     if (!postId || !Array.isArray(gamePlanUpdates)) {
         return {
@@ -275,36 +391,87 @@ const handleUpdateGamePlans = async (event, db, user) => {
         };
     }
 
+    if (!isUuid(postId)) {
+        return {
+            statusCode: 404,
+            body: JSON.stringify({ error: 'Post not found' }),
+        };
+    }
+
     try {
         // Start the transaction using the cachedPool method
         await db.beginTransaction();
 
+        // The post only needs to be visible when it's being added; owners may
+        // always take a post out of their own plans
+        const [postResults] = await db.execute(
+            'SELECT id, owner_id, public_status, deleted_at FROM posts WHERE id = $1',
+            [postId]
+        );
+        const postVisible = postResults.length > 0 && canView(postResults[0], user);
+
+        const results = [];
+
         for (const update of gamePlanUpdates) {
-            const { gamePlanId, add } = update;
+            const { gamePlanId, add } = update || {};
+
+            // A malformed id would fail the uuid cast and abort the transaction
+            if (!isUuid(gamePlanId)) {
+                results.push({ gamePlanId: gamePlanId ?? null, status: 'not-found' });
+                continue;
+            }
+
+            // Lock the plan row so ownership can't change under us mid-transaction
+            const [gamePlanResults] = await db.execute(
+                'SELECT owner_id FROM game_plans WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+                [gamePlanId]
+            );
+
+            if (gamePlanResults.length === 0) {
+                results.push({ gamePlanId, status: 'not-found' });
+                continue;
+            }
+
+            if (gamePlanResults[0].owner_id !== user.user_id) {
+                console.log(`User ${user.user_id} is not the owner of game plan ${gamePlanId}`);
+                results.push({ gamePlanId, status: 'forbidden' });
+                continue;
+            }
 
             if (add) {
+                if (!postVisible) {
+                    results.push({ gamePlanId, status: 'not-found' });
+                    continue;
+                }
+
                 // Execute the query to add the post to the game plan
-                await db.execute(
-                    `INSERT INTO game_plan_posts (game_plan_id, post_id) 
-                     VALUES ($1, $2) 
-                     ON CONFLICT (game_plan_id, post_id) DO NOTHING`,
-                    [gamePlanId, postId]
-                );
+                await db.execute(appendEntryQuery, [gamePlanId, postId, null, null]);
+                results.push({ gamePlanId, status: 'added' });
             } else {
                 // Execute the query to remove the post from the game plan
                 await db.execute(
                     `DELETE FROM game_plan_posts WHERE game_plan_id = $1 AND post_id = $2`,
                     [gamePlanId, postId]
                 );
+                results.push({ gamePlanId, status: 'removed' });
             }
         }
 
         // Commit the transaction using the cachedPool method
         await db.commit();
 
+        const summary = results.reduce((counts, result) => {
+            counts[result.status] = (counts[result.status] || 0) + 1;
+            return counts;
+        }, {});
+
         return {
             statusCode: 200,
-            body: JSON.stringify({ message: 'Game plans updated successfully' }),
+            body: JSON.stringify({
+                message: 'Game plans updated',
+                results,
+                summary
+            }),
         };
     } catch (error) {
         // Rollback the transaction using the cachedPool method
@@ -315,9 +482,6 @@ const handleUpdateGamePlans = async (event, db, user) => {
             statusCode: 500,
             body: JSON.stringify({ error: 'Failed to update game plans' }),
         };
-    } finally {
-        // Release the client connection (this will be handled by the pool itself)
-        // if necessary, e.g., in a more manual setup (but it's not needed here due to the pooling mechanism)
     }
 };
 
@@ -340,7 +504,7 @@ const handleEditGamePlan = async (event, db, user) => {
     }
 
     // Fetch existing game plan to verify ownership
-    const [gamePlanResults] = await db.execute('SELECT owner_id FROM game_plans WHERE id = $1', [gamePlanId]);
+    const [gamePlanResults] = await db.execute('SELECT owner_id, updated_at FROM game_plans WHERE id = $1 AND deleted_at IS NULL', [gamePlanId]);
     if (gamePlanResults.length === 0) {
         console.log(`Game plan with id ${gamePlanId} not found`);
         return {
@@ -358,15 +522,23 @@ const handleEditGamePlan = async (event, db, user) => {
         };
     }
 
+    const currentVersion = gamePlanResults[0].updated_at;
+
     // Handle HEAD request for permission check
     if (event.httpMethod === 'HEAD') {
         return {
-            statusCode: 200
+            statusCode: 200,
+            headers: { ETag: versionTag(currentVersion) }
         };
     }
 
     // Handle PUT request for updating game plan
     if (event.httpMethod === 'PUT') {
+        // Refuse edits made against an older version of the game plan
+        if (!ifMatchSatisfied(event, currentVersion)) {
+            return preconditionFailed('Game plan', currentVersion);
+        }
+
         const parsedBody = JSON.parse(event.body);
         const { name, description, language, public_status } = parsedBody;
 
@@ -407,6 +579,7 @@ const handleEditGamePlan = async (event, db, user) => {
                     public_status = $4,
                     updated_at = CURRENT_TIMESTAMP
                 WHERE id = $5 AND owner_id = $6
+                ${hasIfMatch(event) ? `AND ${versionCondition('updated_at', 7)}` : ''}
                 RETURNING id, name, description, language, public_status, created_at, updated_at
             `;
 
@@ -417,11 +590,19 @@ const handleEditGamePlan = async (event, db, user) => {
                 public_status,
                 gamePlanId,
                 user.user_id,
+                ...(hasIfMatch(event) ? [currentVersion] : []),
             ]);
 
+            // Someone else saved in between
+            if (result.length === 0) {
+                const [latest] = await db.execute('SELECT updated_at FROM game_plans WHERE id = $1', [gamePlanId]);
+                return preconditionFailed('Game plan', latest[0].updated_at);
+            }
+
             // Return success response with updated game plan data
             return {
                 statusCode: 200,
+                headers: { ETag: versionTag(result[0].updated_at) },
                 body: JSON.stringify({
                     message: 'Game plan updated successfully',
                     game_plan: result[0],
@@ -443,12 +624,580 @@ const handleEditGamePlan = async (event, db, user) => {
     };
 };
 
+// Add a post at the end of a section ($3, null for unsectioned) of a game
+// plan; a post already in the plan is left where it is
+const appendEntryQuery = `
+    INSERT INTO game_plan_posts (game_plan_id, post_id, section_id, sort_order, annotation)
+    SELECT $1, $2, $3::uuid, COALESCE(MAX(sort_order) + 1, 0), $4
+    FROM game_plan_posts
+    WHERE game_plan_id = $1 AND section_id IS NOT DISTINCT FROM $3::uuid
+    ON CONFLICT (game_plan_id, post_id) DO NOTHING
+    RETURNING post_id
+`;
+
+// Fetch a game plan's owner and reject callers who don't own it.
+// Returns an error response to send back, or null when the caller is the owner.
+const checkGamePlanOwnership = async (db, gamePlanId, user) => {
+    // A malformed id can't name a plan, and would fail the uuid cast
+    if (!isUuid(gamePlanId)) {
+        return {
+            statusCode: 404,
+            body: JSON.stringify({ error: 'Game plan not found' })
+        };
+    }
+
+    const [gamePlanResults] = await db.execute('SELECT owner_id FROM game_plans WHERE id = $1 AND deleted_at IS NULL', [gamePlanId]);
+    if (gamePlanResults.length === 0) {
+        console.log(`Game plan with id ${gamePlanId} not found`);
+        return {
+            statusCode: 404,
+            body: JSON.stringify({ error: 'Game plan not found' })
+        };
+    }
+
+    if (user.user_id !== gamePlanResults[0].owner_id) {
+        console.log(`User ${user.user_id} is not the owner of game plan ${gamePlanId}`);
+        return {
+            statusCode: 403,
+            body: JSON.stringify({ error: 'User not authorized to modify this game plan' })
+        };
+    }
+
+    return null;
+};
+
+// Handle Delete Game Plan
+const handleDeleteGamePlan = async (event, db, user) => {
+    const gamePlanId = event.pathParameters?.id;
+    if (!gamePlanId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Game plan ID is required' })
+        };
+    }
+
+    try {
+        const ownershipError = await checkGamePlanOwnership(db, gamePlanId, user);
+        if (ownershipError) {
+            return ownershipError;
+        }
+
+        // Move the plan to the trash; memberships stay so a restore brings
+        // it back whole, and the purge removes them with the plan
+        await db.execute(
+            'UPDATE game_plans SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND owner_id = $2',
+            [gamePlanId, user.user_id]
+        );
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ message: 'Game plan moved to trash' })
+        };
+    } catch (error) {
+        console.error('Error deleting game plan:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to delete the game plan', details: error.message })
+        };
+    }
+};
+
+// Handle Add Post To Game Plan
+const handleAddPostToGamePlan = async (event, db, user) => {
+    const gamePlanId = event.pathParameters?.id;
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body || '{}');
+    } catch (error) {
+        console.error("Error parsing request body:", error);
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: "Invalid request body format" })
+        };
+    }
+
+    const { postId, section_id: sectionId, annotation } = requestBody;
+    if (!gamePlanId || !postId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Game plan ID and post ID are required' })
+        };
+    }
+
+    try {
+        const ownershipError = await checkGamePlanOwnership(db, gamePlanId, user);
+        if (ownershipError) {
+            return ownershipError;
+        }
+
+        // Other users' private posts are treated as missing
+        const [postResults] = isUuid(postId)
+            ? await db.execute('SELECT id, owner_id, public_status, deleted_at FROM posts WHERE id = $1', [postId])
+            : [[]];
+        if (postResults.length === 0 || !canView(postResults[0], user)) {
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Post not found' })
+            };
+        }
+
+        // Appends take the next sort_order; lock the plan so concurrent adds
+        // and layout changes queue up instead of picking the same one
+        await db.beginTransaction();
+        await db.execute('SELECT id FROM game_plans WHERE id = $1 FOR UPDATE', [gamePlanId]);
+
+        if (sectionId) {
+            const [sections] = isUuid(sectionId)
+                ? await db.execute(
+                    'SELECT id FROM game_plan_sections WHERE id = $1 AND game_plan_id = $2',
+                    [sectionId, gamePlanId]
+                )
+                : [[]];
+            if (sections.length === 0) {
+                await db.rollback();
+                return {
+                    statusCode: 404,
+                    body: JSON.stringify({ error: 'Section not found' })
+                };
+            }
+        }
+
+        const [inserted] = await db.execute(appendEntryQuery, [gamePlanId, postId, sectionId || null, annotation || null]);
+        await db.commit();
+
+        return {
+            statusCode: inserted.length > 0 ? 201 : 200,
+            body: JSON.stringify({
+                message: inserted.length > 0 ? 'Post added to game plan' : 'Post is already in this game plan',
+                game_plan_id: gamePlanId,
+                post_id: postId
+            })
+        };
+    } catch (error) {
+        if (db.connection.inTransaction) {
+            await db.rollback();
+        }
+        console.error('Error adding post to game plan:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to add post to game plan', details: error.message })
+        };
+    }
+};
+
+// Handle Remove Post From Game Plan
+const handleRemovePostFromGamePlan = async (event, db, user) => {
+    const gamePlanId = event.pathParameters?.id;
+    const postId = event.pathParameters?.postId;
+
+    if (!gamePlanId || !postId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Game plan ID and post ID are required' })
+        };
+    }
+
+    try {
+        const ownershipError = await checkGamePlanOwnership(db, gamePlanId, user);
+        if (ownershipError) {
+            return ownershipError;
+        }
+
+        const [deleted] = await db.execute(
+            'DELETE FROM game_plan_posts WHERE game_plan_id = $1 AND post_id = $2 RETURNING post_id',
+            [gamePlanId, postId]
+        );
+
+        if (deleted.length === 0) {
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Post is not in this game plan' })
+            };
+        }
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ message: 'Post removed from game plan' })
+        };
+    } catch (error) {
+        console.error('Error removing post from game plan:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to remove post from game plan', details: error.message })
+        };
+    }
+};
+
+// Handle Get Posts By Transition
+const handleGetPostsByTransition = async (event, db, user) => {
+    const gamePlanId = event.pathParameters?.id;
+    if (!gamePlanId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Game plan ID is required' })
+        };
+    }
+
+    const {
+        startingPosition = '',
+        endingPosition = '',
+        startingTopBottom = '',
+        endingTopBottom = '',
+    } = event.queryStringParameters || {};
+
+    try {
+        const [gamePlanResults] = await db.execute(
+            'SELECT owner_id, public_status, deleted_at FROM game_plans WHERE id = $1',
+            [gamePlanId]
+        );
+        if (gamePlanResults.length === 0 || !canView(gamePlanResults[0], user)) {
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Game plan not found' })
+            };
+        }
+
+        const conditions = [
+            'gpp.game_plan_id = $1',
+            visibilityCondition('p', 2)
+        ];
+        const queryParams = [gamePlanId, getViewerId(user)];
+        let paramCounter = 3;
+
+        if (startingPosition) {
+            conditions.push(`p.starting_position = $${paramCounter}`);
+            queryParams.push(startingPosition);
+            paramCounter++;
+        }
+
+        if (endingPosition) {
+            conditions.push(`p.ending_position = $${paramCounter}`);
+            queryParams.push(endingPosition);
+            paramCounter++;
+        }
+
+        if (startingTopBottom) {
+            conditions.push(`p.starting_top_bottom = $${paramCounter}`);
+            queryParams.push(startingTopBottom);
+            paramCounter++;
+        }
+
+        if (endingTopBottom) {
+            conditions.push(`p.ending_top_bottom = $${paramCounter}`);
+            queryParams.push(endingTopBottom);
+            paramCounter++;
+        }
+
+        const [posts] = await db.execute(`
+            SELECT p.id, p.title, p.video_id, p.video_platform, pr.username,
+                   p.movement_type, p.starting_position, p.ending_position,
+                   p.starting_top_bottom, p.ending_top_bottom, p.gi_nogi,
+                   p.practitioner, p.sequence_start_time, p.public_status,
+                   p.language, p.created_at, p.updated_at
+            FROM posts p
+            JOIN game_plan_posts gpp ON p.id = gpp.post_id
+            JOIN profiles pr ON p.owner_id = pr.user_id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY p.starting_position, p.ending_position, p.created_at DESC
+        `, queryParams);
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                posts,
+                count: posts.length
+            })
+        };
+    } catch (error) {
+        console.error('Error fetching posts by transition:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to fetch transitions', details: error.message })
+        };
+    }
+};
+
+
+// Handle Fork Game Plan
+//
+// Copies a visible game plan to the caller: metadata, sections and the posts
+// the caller can see, keeping their order and annotations.
+const handleForkGamePlan = async (event, db, user) => {
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body || '{}');
+    } catch (error) {
+        console.error("Error parsing request body:", error);
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: "Invalid request body format" })
+        };
+    }
+
+    const { gamePlanId, name } = requestBody;
+    if (!gamePlanId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Game plan ID is required' })
+        };
+    }
+    if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Game plan name must be a non-empty string' })
+        };
+    }
+
+    try {
+        const [sourceResults] = await db.execute(
+            'SELECT id, owner_id, name, description, language, public_status, deleted_at FROM game_plans WHERE id = $1',
+            [gamePlanId]
+        );
+        if (sourceResults.length === 0 || !canView(sourceResults[0], user)) {
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Game plan not found' })
+            };
+        }
+        const source = sourceResults[0];
+
+        await db.beginTransaction();
+
+        const [forkResults] = await db.execute(
+            `INSERT INTO game_plans (owner_id, name, description, language, public_status, forked_from_id, forked_from_owner_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING id, name, description, language, public_status, created_at`,
+            [user.user_id, name ? name.trim() : source.name, source.description, source.language,
+                source.public_status, source.id, source.owner_id]
+        );
+        const fork = forkResults[0];
+
+        // Copy sections, remembering which new section replaces which
+        const [sections] = await db.execute(
+            'SELECT id, name, sort_order FROM game_plan_sections WHERE game_plan_id = $1 ORDER BY sort_order',
+            [source.id]
+        );
+        const sectionIds = new Map();
+        for (const section of sections) {
+            const [inserted] = await db.execute(
+                'INSERT INTO game_plan_sections (game_plan_id, name, sort_order) VALUES ($1, $2, $3) RETURNING id',
+                [fork.id, section.name, section.sort_order]
+            );
+            sectionIds.set(section.id, inserted[0].id);
+        }
+
+        // Other users' private posts stay behind
+        const [entries] = await db.execute(`
+            SELECT gpp.post_id, gpp.section_id, gpp.sort_order, gpp.annotation
+            FROM game_plan_posts gpp
+            JOIN posts p ON p.id = gpp.post_id
+            WHERE gpp.game_plan_id = $1
+              AND ${visibilityCondition('p', 2)}
+        `, [source.id, user.user_id]);
+        for (const entry of entries) {
+            await db.execute(
+                `INSERT INTO game_plan_posts (game_plan_id, post_id, section_id, sort_order, annotation)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [fork.id, entry.post_id, entry.section_id ? sectionIds.get(entry.section_id) : null,
+                    entry.sort_order, entry.annotation]
+            );
+        }
+
+        await db.commit();
+
+        return {
+            statusCode: 201,
+            body: JSON.stringify({
+                message: 'Game plan forked successfully',
+                game_plan: { ...fork, forked_from_id: source.id },
+                section_count: sections.length,
+                post_count: entries.length
+            })
+        };
+    } catch (error) {
+        if (db.connection.inTransaction) {
+            await db.rollback();
+        }
+        console.error('Error forking game plan:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to fork game plan', details: error.message })
+        };
+    }
+};
+
+// Load a game plan the viewer may see with its posts, selected for building
+// a transition graph. Returns null when the plan is missing or hidden.
+const fetchGamePlanGraphPosts = async (db, gamePlanId, user) => {
+    const [gamePlanResults] = await db.execute(
+        'SELECT id, name, owner_id, public_status, deleted_at FROM game_plans WHERE id = $1',
+        [gamePlanId]
+    );
+    if (gamePlanResults.length === 0 || !canView(gamePlanResults[0], user)) {
+        return null;
+    }
+
+    const [posts] = await db.execute(`
+        SELECT ${graphPostColumns('p')}
+        FROM posts p
+        JOIN game_plan_posts gpp ON p.id = gpp.post_id
+        WHERE gpp.game_plan_id = $1
+          AND ${visibilityCondition('p', 2)}
+        ORDER BY p.created_at, p.id
+    `, [gamePlanId, getViewerId(user)]);
+
+    return {
+        gamePlan: {
+            id: gamePlanResults[0].id,
+            name: gamePlanResults[0].name,
+            is_owner: isOwner(gamePlanResults[0], user)
+        },
+        posts
+    };
+};
+
+// Handle Get Game Plan Graph
+const handleGetGamePlanGraph = async (event, db, user) => {
+    const gamePlanId = event.pathParameters?.id;
+    if (!gamePlanId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Game plan ID is required' })
+        };
+    }
+
+    const language = parseLanguage(event);
+    if (!language) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `Language must be one of: ${LABEL_LANGUAGES.join(', ')}` })
+        };
+    }
+
+    try {
+        const result = await fetchGamePlanGraphPosts(db, gamePlanId, user);
+        if (!result) {
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Game plan not found' })
+            };
+        }
+
+        const graph = buildTransitionGraph(result.posts);
+
+        // Taxonomy positions are labelled in the requested language
+        const taxonomy = await loadTaxonomy(db);
+        graph.nodes.forEach((node) => {
+            node.label = localizedLabel(taxonomy.positions, node.position_id, language) || node.position;
+        });
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                game_plan: result.gamePlan,
+                language,
+                nodes: graph.nodes,
+                edges: graph.edges,
+                post_count: result.posts.length
+            })
+        };
+    } catch (error) {
+        console.error('Error building game plan graph:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to build game plan graph', details: error.message })
+        };
+    }
+};
+
+// Handle Get Game Plan Coverage
+const handleGetGamePlanCoverage = async (event, db, user) => {
+    const gamePlanId = event.pathParameters?.id;
+    if (!gamePlanId) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Game plan ID is required' })
+        };
+    }
+
+    const language = parseLanguage(event);
+    if (!language) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `Language must be one of: ${LABEL_LANGUAGES.join(', ')}` })
+        };
+    }
+
+    try {
+        const result = await fetchGamePlanGraphPosts(db, gamePlanId, user);
+        if (!result) {
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Game plan not found' })
+            };
+        }
+
+        const graph = buildTransitionGraph(result.posts);
+        const taxonomy = await loadTaxonomy(db);
+
+        // Plans start standing and finish on a submission
+        const entryIds = positionWithDescendants(taxonomy.positions, 'standing');
+        const terminalIds = positionWithDescendants(taxonomy.positions, 'submission');
+        const coverage = analyzeCoverage(graph, result.posts, {
+            isEntry: (node) => entryIds.has(node.position_id),
+            isTerminal: (node) => terminalIds.has(node.position_id)
+        });
+
+        const nodesById = new Map(graph.nodes.map((node) => [node.id, {
+            id: node.id,
+            position_id: node.position_id,
+            position: node.position,
+            label: localizedLabel(taxonomy.positions, node.position_id, language) || node.position,
+            top_bottom: node.top_bottom
+        }]));
+        const presentNodes = (ids) => ids.map((id) => nodesById.get(id));
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                game_plan: result.gamePlan,
+                language,
+                post_count: result.posts.length,
+                position_count: graph.nodes.length,
+                entry_points: presentNodes(coverage.entry_points),
+                dead_ends: presentNodes(coverage.dead_ends),
+                missing_escapes: presentNodes(coverage.missing_escapes),
+                unreachable: presentNodes(coverage.unreachable),
+                gi_nogi: {
+                    post_counts: coverage.gi_nogi_post_counts,
+                    gaps: coverage.gi_nogi_gaps.map((gap) => ({ ...nodesById.get(gap.node), covered: gap.covered, missing: gap.missing }))
+                }
+            })
+        };
+    } catch (error) {
+        console.error('Error analyzing game plan coverage:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to analyze game plan coverage', details: error.message })
+        };
+    }
+};
 
 module.exports = {
+ appendEntryQuery,
+ checkGamePlanOwnership,
  handleListGamePlansWithStatus,
  handleNewGamePlan,
  handleSearchGamePlans,
  handleUpdateGamePlans,
  handleViewGamePlan,
  handleEditGamePlan,
+ handleForkGamePlan,
+ handleDeleteGamePlan,
+ handleAddPostToGamePlan,
+ handleRemovePostFromGamePlan,
+ handleGetPostsByTransition,
+ handleGetGamePlanGraph,
+ handleGetGamePlanCoverage,
 }
\ No newline at end of file
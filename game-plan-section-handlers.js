@@ -0,0 +1,463 @@
+const { checkGamePlanOwnership } = require('./game-plan-handlers');
+const { visibilityCondition } = require('./visibility');
+const { isUuid } = require('./ids');
+
+const MAX_SECTION_NAME_LENGTH = 100;
+const MAX_ANNOTATION_LENGTH = 2000;
+
+const parseBody = (event) => {
+    try {
+        return { body: JSON.parse(event.body || '{}') };
+    } catch (error) {
+        console.error("Error parsing request body:", error);
+        return {
+            error: {
+                statusCode: 400,
+                body: JSON.stringify({ error: "Invalid request body format" })
+            }
+        };
+    }
+};
+
+const validateSectionName = (name) => {
+    if (typeof name !== 'string' || name.trim() === '') {
+        return 'Section name is required';
+    }
+    if (name.trim().length > MAX_SECTION_NAME_LENGTH) {
+        return `Section name must be at most ${MAX_SECTION_NAME_LENGTH} characters`;
+    }
+    return null;
+};
+
+// Serialize layout changes to one plan: concurrent reorders queue up on the
+// game plan row instead of interleaving their renumbering
+const lockGamePlan = (db, gamePlanId) =>
+    db.execute('SELECT id FROM game_plans WHERE id = $1 FOR UPDATE', [gamePlanId]);
+
+const touchGamePlan = (db, gamePlanId) =>
+    db.execute('UPDATE game_plans SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [gamePlanId]);
+
+const findSection = async (db, gamePlanId, sectionId) => {
+    if (!isUuid(sectionId)) {
+        return null;
+    }
+
+    const [rows] = await db.execute(
+        'SELECT id, name, sort_order FROM game_plan_sections WHERE id = $1 AND game_plan_id = $2',
+        [sectionId, gamePlanId]
+    );
+    return rows[0] || null;
+};
+
+// Post ids of one section (null for unsectioned) in display order
+const sectionPostIds = async (db, gamePlanId, sectionId) => {
+    const [rows] = await db.execute(
+        `SELECT post_id FROM game_plan_posts
+         WHERE game_plan_id = $1 AND section_id IS NOT DISTINCT FROM $2::uuid
+         ORDER BY sort_order, post_id`,
+        [gamePlanId, sectionId]
+    );
+    return rows.map((row) => row.post_id);
+};
+
+// Put `postIds` into a section in the given order
+const writeSectionOrder = async (db, gamePlanId, sectionId, postIds) => {
+    for (const [index, postId] of postIds.entries()) {
+        await db.execute(
+            `UPDATE game_plan_posts SET section_id = $3::uuid, sort_order = $4
+             WHERE game_plan_id = $1 AND post_id = $2`,
+            [gamePlanId, postId, sectionId, index]
+        );
+    }
+};
+
+const rollbackIfNeeded = async (db) => {
+    if (db.connection.inTransaction) {
+        await db.rollback();
+    }
+};
+
+// Handle Create Game Plan Section
+const handleCreateGamePlanSection = async (event, db, user) => {
+    const gamePlanId = event.pathParameters?.id;
+    const { body, error } = parseBody(event);
+    if (error) return error;
+
+    const nameError = validateSectionName(body.name);
+    if (nameError) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: nameError })
+        };
+    }
+
+    try {
+        const ownershipError = await checkGamePlanOwnership(db, gamePlanId, user);
+        if (ownershipError) {
+            return ownershipError;
+        }
+
+        await db.beginTransaction();
+        await lockGamePlan(db, gamePlanId);
+
+        // New sections go last
+        const [inserted] = await db.execute(
+            `INSERT INTO game_plan_sections (game_plan_id, name, sort_order)
+             SELECT $1, $2, COALESCE(MAX(sort_order) + 1, 0) FROM game_plan_sections WHERE game_plan_id = $1
+             RETURNING id, name, sort_order, created_at`,
+            [gamePlanId, body.name.trim()]
+        );
+        await touchGamePlan(db, gamePlanId);
+
+        await db.commit();
+
+        return {
+            statusCode: 201,
+            body: JSON.stringify({ message: 'Section created', section: inserted[0] })
+        };
+    } catch (error) {
+        await rollbackIfNeeded(db);
+        console.error('Error creating game plan section:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to create section', details: error.message })
+        };
+    }
+};
+
+// Handle Rename Game Plan Section
+const handleUpdateGamePlanSection = async (event, db, user) => {
+    const { id: gamePlanId, sectionId } = event.pathParameters || {};
+    const { body, error } = parseBody(event);
+    if (error) return error;
+
+    const nameError = validateSectionName(body.name);
+    if (nameError) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: nameError })
+        };
+    }
+
+    try {
+        const ownershipError = await checkGamePlanOwnership(db, gamePlanId, user);
+        if (ownershipError) {
+            return ownershipError;
+        }
+
+        const [updated] = isUuid(sectionId)
+            ? await db.execute(
+                `UPDATE game_plan_sections SET name = $3, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND game_plan_id = $2
+                 RETURNING id, name, sort_order, updated_at`,
+                [sectionId, gamePlanId, body.name.trim()]
+            )
+            : [[]];
+        if (updated.length === 0) {
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Section not found' })
+            };
+        }
+        await touchGamePlan(db, gamePlanId);
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ message: 'Section updated', section: updated[0] })
+        };
+    } catch (error) {
+        console.error('Error updating game plan section:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to update section', details: error.message })
+        };
+    }
+};
+
+// Handle Delete Game Plan Section
+const handleDeleteGamePlanSection = async (event, db, user) => {
+    const { id: gamePlanId, sectionId } = event.pathParameters || {};
+
+    try {
+        const ownershipError = await checkGamePlanOwnership(db, gamePlanId, user);
+        if (ownershipError) {
+            return ownershipError;
+        }
+
+        await db.beginTransaction();
+        await lockGamePlan(db, gamePlanId);
+
+        if (!(await findSection(db, gamePlanId, sectionId))) {
+            await db.rollback();
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Section not found' })
+            };
+        }
+
+        // The section's posts stay in the plan, after the unsectioned ones
+        const movedPostIds = await sectionPostIds(db, gamePlanId, sectionId);
+        const unsectionedPostIds = await sectionPostIds(db, gamePlanId, null);
+        await writeSectionOrder(db, gamePlanId, null, [...unsectionedPostIds, ...movedPostIds]);
+
+        await db.execute('DELETE FROM game_plan_sections WHERE id = $1 AND game_plan_id = $2', [sectionId, gamePlanId]);
+        await touchGamePlan(db, gamePlanId);
+
+        await db.commit();
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ message: 'Section deleted', moved_post_ids: movedPostIds })
+        };
+    } catch (error) {
+        await rollbackIfNeeded(db);
+        console.error('Error deleting game plan section:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to delete section', details: error.message })
+        };
+    }
+};
+
+// Handle Reorder Game Plan
+//
+// Replaces the whole layout in one go. The body lists every section, in
+// order, with the ids of its posts in order; `section_id: null` is the
+// unsectioned list. Every section and visible post of the plan must appear
+// exactly once, so a client working from a stale layout gets a 409 instead
+// of silently dropping entries.
+const handleReorderGamePlan = async (event, db, user) => {
+    const gamePlanId = event.pathParameters?.id;
+    const { body, error } = parseBody(event);
+    if (error) return error;
+
+    const { layout } = body;
+    const isValidLayout = Array.isArray(layout) && layout.every((group) =>
+        group && (group.section_id === null || typeof group.section_id === 'string') &&
+        Array.isArray(group.post_ids) && group.post_ids.every((postId) => typeof postId === 'string')
+    );
+    if (!isValidLayout) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'layout must be an array of { section_id, post_ids }' })
+        };
+    }
+
+    try {
+        const ownershipError = await checkGamePlanOwnership(db, gamePlanId, user);
+        if (ownershipError) {
+            return ownershipError;
+        }
+
+        await db.beginTransaction();
+        await lockGamePlan(db, gamePlanId);
+
+        const [sections] = await db.execute('SELECT id FROM game_plan_sections WHERE game_plan_id = $1', [gamePlanId]);
+        const [allEntries] = await db.execute(
+            'SELECT post_id, section_id FROM game_plan_posts WHERE game_plan_id = $1 ORDER BY sort_order, post_id',
+            [gamePlanId]
+        );
+        // Posts that have since gone private aren't shown to the owner, so
+        // they can't be listed; they stay in their section, after the listed ones
+        const [entries] = await db.execute(`
+            SELECT gpp.post_id
+            FROM game_plan_posts gpp
+            JOIN posts p ON p.id = gpp.post_id
+            WHERE gpp.game_plan_id = $1 AND ${visibilityCondition('p', 2)}
+        `, [gamePlanId, user.user_id]);
+
+        const layoutSectionIds = layout.map((group) => group.section_id).filter((sectionId) => sectionId !== null);
+        const layoutPostIds = layout.flatMap((group) => group.post_ids);
+        const sameSet = (given, actual) =>
+            given.length === actual.length && new Set(given).size === given.length && actual.every((id) => given.includes(id));
+
+        if (!sameSet(layoutSectionIds, sections.map((row) => row.id)) ||
+            !sameSet(layoutPostIds, entries.map((row) => row.post_id)) ||
+            layout.filter((group) => group.section_id === null).length > 1) {
+            await db.rollback();
+            return {
+                statusCode: 409,
+                body: JSON.stringify({ error: 'layout must list every section and post of the game plan exactly once' })
+            };
+        }
+
+        for (const [index, sectionId] of layoutSectionIds.entries()) {
+            await db.execute(
+                'UPDATE game_plan_sections SET sort_order = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND game_plan_id = $2',
+                [sectionId, gamePlanId, index]
+            );
+        }
+        const visiblePostIds = new Set(layoutPostIds);
+        for (const sectionId of [...layoutSectionIds, null]) {
+            const listedPostIds = layout.find((group) => group.section_id === sectionId)?.post_ids || [];
+            const hiddenPostIds = allEntries
+                .filter((entry) => entry.section_id === sectionId && !visiblePostIds.has(entry.post_id))
+                .map((entry) => entry.post_id);
+            await writeSectionOrder(db, gamePlanId, sectionId, [...listedPostIds, ...hiddenPostIds]);
+        }
+        await touchGamePlan(db, gamePlanId);
+
+        await db.commit();
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ message: 'Game plan reordered' })
+        };
+    } catch (error) {
+        await rollbackIfNeeded(db);
+        console.error('Error reordering game plan:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to reorder game plan', details: error.message })
+        };
+    }
+};
+
+// Handle Move Game Plan Post
+//
+// Moves one post to `index` within `section_id` (null for unsectioned),
+// appending when no index is given. Both affected sections are renumbered.
+const handleMoveGamePlanPost = async (event, db, user) => {
+    const { id: gamePlanId, postId } = event.pathParameters || {};
+    const { body, error } = parseBody(event);
+    if (error) return error;
+
+    const targetSectionId = body.section_id ?? null;
+    const hasIndex = body.index !== undefined && body.index !== null;
+    if ((targetSectionId !== null && typeof targetSectionId !== 'string') ||
+        (hasIndex && (!Number.isInteger(body.index) || body.index < 0))) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'section_id must be a section id or null and index a non-negative integer' })
+        };
+    }
+
+    try {
+        const ownershipError = await checkGamePlanOwnership(db, gamePlanId, user);
+        if (ownershipError) {
+            return ownershipError;
+        }
+
+        await db.beginTransaction();
+        await lockGamePlan(db, gamePlanId);
+
+        const [entries] = isUuid(postId)
+            ? await db.execute(
+                'SELECT section_id FROM game_plan_posts WHERE game_plan_id = $1 AND post_id = $2',
+                [gamePlanId, postId]
+            )
+            : [[]];
+        if (entries.length === 0) {
+            await db.rollback();
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Post is not in this game plan' })
+            };
+        }
+        if (targetSectionId !== null && !(await findSection(db, gamePlanId, targetSectionId))) {
+            await db.rollback();
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Section not found' })
+            };
+        }
+
+        const sourceSectionId = entries[0].section_id;
+        const sourcePostIds = (await sectionPostIds(db, gamePlanId, sourceSectionId)).filter((id) => id !== postId);
+        const targetPostIds = sourceSectionId === targetSectionId
+            ? sourcePostIds
+            : await sectionPostIds(db, gamePlanId, targetSectionId);
+
+        const index = hasIndex ? Math.min(body.index, targetPostIds.length) : targetPostIds.length;
+        targetPostIds.splice(index, 0, postId);
+
+        if (sourceSectionId !== targetSectionId) {
+            await writeSectionOrder(db, gamePlanId, sourceSectionId, sourcePostIds);
+        }
+        await writeSectionOrder(db, gamePlanId, targetSectionId, targetPostIds);
+        await touchGamePlan(db, gamePlanId);
+
+        await db.commit();
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: 'Post moved',
+                post_id: postId,
+                section_id: targetSectionId,
+                index
+            })
+        };
+    } catch (error) {
+        await rollbackIfNeeded(db);
+        console.error('Error moving game plan post:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to move post', details: error.message })
+        };
+    }
+};
+
+// Handle Update Game Plan Entry (per-plan annotation of a post)
+const handleUpdateGamePlanEntry = async (event, db, user) => {
+    const { id: gamePlanId, postId } = event.pathParameters || {};
+    const { body, error } = parseBody(event);
+    if (error) return error;
+
+    const { annotation } = body;
+    if (annotation !== null && typeof annotation !== 'string') {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'annotation must be a string or null' })
+        };
+    }
+    if (annotation && annotation.length > MAX_ANNOTATION_LENGTH) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `annotation must be at most ${MAX_ANNOTATION_LENGTH} characters` })
+        };
+    }
+
+    try {
+        const ownershipError = await checkGamePlanOwnership(db, gamePlanId, user);
+        if (ownershipError) {
+            return ownershipError;
+        }
+
+        const [updated] = isUuid(postId)
+            ? await db.execute(
+                `UPDATE game_plan_posts SET annotation = $3
+                 WHERE game_plan_id = $1 AND post_id = $2
+                 RETURNING post_id, section_id, sort_order, annotation`,
+                [gamePlanId, postId, annotation && annotation.trim() !== '' ? annotation : null]
+            )
+            : [[]];
+        if (updated.length === 0) {
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Post is not in this game plan' })
+            };
+        }
+        await touchGamePlan(db, gamePlanId);
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ message: 'Annotation updated', entry: updated[0] })
+        };
+    } catch (error) {
+        console.error('Error updating game plan entry:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to update annotation', details: error.message })
+        };
+    }
+};
+
+module.exports = {
+    handleCreateGamePlanSection,
+    handleUpdateGamePlanSection,
+    handleDeleteGamePlanSection,
+    handleReorderGamePlan,
+    handleMoveGamePlanPost,
+    handleUpdateGamePlanEntry,
+};
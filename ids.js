@@ -0,0 +1,11 @@
+// Row ids are UUIDs. Ids from requests are checked against this before they
+// reach a query, since Postgres rejects a malformed uuid with an error that
+// would abort the surrounding transaction.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isUuid = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+
+module.exports = {
+    isUuid,
+};
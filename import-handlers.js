@@ -0,0 +1,343 @@
+const { uuidv7 } = require('uuidv7');
+const { REVISION_FIELDS } = require('./post-revisions');
+const { resolveNewPostFields, insertPost } = require('./post-handlers');
+const { appendEntryQuery, checkGamePlanOwnership } = require('./game-plan-handlers');
+const { isUuid } = require('./ids');
+
+// Most rows one import may hold; each row can mean an S3 upload, and the
+// whole import has to finish within the Lambda timeout
+const MAX_IMPORT_ROWS = 100;
+
+// Columns an import row may carry: the post fields, a video link in place
+// of video_id and video_platform, and the notes
+const IMPORT_FIELDS = [...REVISION_FIELDS, 'video_url', 'notes'];
+
+// Split CSV text into records, following RFC 4180 quoting (quoted fields may
+// hold commas, doubled quotes and line breaks). Each record keeps the line it
+// starts on. Throws with the line number when a quote is never closed.
+const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push({ line: recordLine, values: record });
+            record = [];
+            field = '';
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error(`Unclosed quote in the record starting on line ${recordLine}`);
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push({ line: recordLine, values: record });
+    }
+
+    // Blank lines carry no post
+    return records.filter((entry) => entry.values.some((value) => value.trim() !== ''));
+};
+
+// Header cells are matched loosely: "Starting Position" is starting_position
+const normalizeColumn = (name) => name.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Turn a CSV body into { rows: [{ line, fields }] } or { error }
+const rowsFromCsv = (text) => {
+    let records;
+    try {
+        records = parseCsv(text);
+    } catch (parseError) {
+        return { error: parseError.message };
+    }
+
+    if (records.length === 0) {
+        return { error: 'The CSV has no header row' };
+    }
+
+    const [header, ...dataRecords] = records;
+    const columns = header.values.map(normalizeColumn);
+    const unknown = columns.filter((column) => !IMPORT_FIELDS.includes(column));
+    if (unknown.length > 0) {
+        return { error: `Unknown columns: ${unknown.join(', ')}. Columns must be among: ${IMPORT_FIELDS.join(', ')}` };
+    }
+
+    return {
+        rows: dataRecords.map(({ line, values }) => ({
+            line,
+            // Empty cells count as missing, so defaults apply as in /newpost.
+            // Notes are Markdown, where indentation and trailing newlines
+            // matter, so only the other cells are trimmed.
+            fields: Object.fromEntries(columns
+                .map((column, index) => [column, values[index] ?? ''])
+                .filter(([, value]) => value.trim() !== '')
+                .map(([column, value]) => [column, column === 'notes' ? value : value.trim()]))
+        }))
+    };
+};
+
+// Turn a JSON array of posts into { rows: [{ line, fields }] } or { error };
+// `line` is the 1-based position in the array
+const rowsFromJson = (posts) => {
+    if (!Array.isArray(posts)) {
+        return { error: 'posts must be an array' };
+    }
+    return {
+        rows: posts.map((post, index) => ({
+            line: index + 1,
+            fields: post && typeof post === 'object' && !Array.isArray(post) ? post : null
+        }))
+    };
+};
+
+// Read the import and its options from either a text/csv body (options in
+// the query string) or a JSON body holding `posts` or `csv`
+const parseImportRequest = (event) => {
+    const headers = event.headers || {};
+    const contentType = headers['Content-Type'] || headers['content-type'] || '';
+
+    if (contentType.includes('text/csv')) {
+        const { dryRun = '', gamePlanId = '', sectionId = '' } = event.queryStringParameters || {};
+        return {
+            ...rowsFromCsv(event.body || ''),
+            dryRun: dryRun === 'true',
+            gamePlanId: gamePlanId || null,
+            sectionId: sectionId || null
+        };
+    }
+
+    let requestBody;
+    try {
+        requestBody = JSON.parse(event.body || '{}');
+    } catch (error) {
+        return { error: 'Request body must be JSON, or CSV sent as text/csv' };
+    }
+
+    const { posts, csv, dry_run: dryRun, game_plan_id: gamePlanId, section_id: sectionId } = requestBody || {};
+    if (posts === undefined && typeof csv !== 'string') {
+        return { error: 'Send the rows as a posts array or as csv text' };
+    }
+
+    return {
+        ...(typeof csv === 'string' ? rowsFromCsv(csv) : rowsFromJson(posts)),
+        dryRun: dryRun === true,
+        gamePlanId: gamePlanId || null,
+        sectionId: sectionId || null
+    };
+};
+
+// Validate one row like a new post. Returns { values, suggestions } or { error }.
+const validateRow = async (db, fields, user) => {
+    if (!fields) {
+        return { error: 'Row must be an object' };
+    }
+
+    const { notes, ...postFields } = fields;
+    if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+        return { error: 'notes must be a string' };
+    }
+
+    const unknown = Object.keys(postFields).filter((field) => !IMPORT_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        return { error: `Unknown fields: ${unknown.join(', ')}` };
+    }
+
+    return resolveNewPostFields(db, postFields, user);
+};
+
+// Remove notes uploaded for an import that didn't go through
+const discardUploadedNotes = async (notesPaths) => {
+    const { deleteMarkdownFromS3 } = require('./s3-helper');
+    for (const notesPath of notesPaths) {
+        try {
+            await deleteMarkdownFromS3(notesPath);
+        } catch (s3Error) {
+            console.error('Error deleting imported notes file:', s3Error);
+        }
+    }
+};
+
+// Handle Import Posts
+//
+// Every row is validated first. A dry run only reports the outcome; a real
+// import creates nothing unless every row is valid, and then creates all
+// posts (and game plan entries) in one transaction.
+const handleImportPosts = async (event, db, user) => {
+    const { uploadMarkdownToS3 } = require('./s3-helper');
+
+    const request = parseImportRequest(event);
+    if (request.error) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: request.error })
+        };
+    }
+
+    const { rows, dryRun, gamePlanId, sectionId } = request;
+    if (rows.length === 0) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'There are no rows to import' })
+        };
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `At most ${MAX_IMPORT_ROWS} posts can be imported at once` })
+        };
+    }
+
+    const uploadedNotesPaths = [];
+    try {
+        if (gamePlanId) {
+            const ownershipError = await checkGamePlanOwnership(db, gamePlanId, user);
+            if (ownershipError) {
+                return ownershipError;
+            }
+
+            if (sectionId) {
+                const [sections] = isUuid(sectionId)
+                    ? await db.execute(
+                        'SELECT id FROM game_plan_sections WHERE id = $1 AND game_plan_id = $2',
+                        [sectionId, gamePlanId]
+                    )
+                    : [[]];
+                if (sections.length === 0) {
+                    return {
+                        statusCode: 404,
+                        body: JSON.stringify({ error: 'Section not found' })
+                    };
+                }
+            }
+        }
+
+        const validated = [];
+        const errors = [];
+        for (const row of rows) {
+            const result = await validateRow(db, row.fields, user);
+            if (result.error) {
+                errors.push({ line: row.line, error: result.error });
+            } else {
+                validated.push({ ...row, ...result });
+            }
+        }
+
+        if (dryRun) {
+            return {
+                statusCode: 200,
+                body: JSON.stringify({
+                    dry_run: true,
+                    valid: validated.length,
+                    invalid: errors.length,
+                    errors,
+                    posts: validated.map(({ line, values, suggestions }) => ({
+                        line,
+                        ...Object.fromEntries(REVISION_FIELDS.map((field) => [field, values[field] ?? null])),
+                        ...(Object.keys(suggestions).length > 0 ? { suggestions } : {})
+                    }))
+                })
+            };
+        }
+
+        if (errors.length > 0) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: 'Some rows are invalid; nothing was imported', errors })
+            };
+        }
+
+        // Notes go to S3 before the transaction so it isn't held open for uploads
+        for (const row of validated) {
+            row.id = uuidv7();
+            row.notesPath = null;
+            if (row.fields.notes && row.fields.notes.trim() !== '') {
+                try {
+                    row.notesPath = await uploadMarkdownToS3(row.fields.notes, row.id, user.user_id);
+                    uploadedNotesPaths.push(row.notesPath);
+                } catch (s3Error) {
+                    console.error('Error uploading imported notes to S3:', s3Error);
+                    await discardUploadedNotes(uploadedNotesPaths);
+                    return {
+                        statusCode: 500,
+                        body: JSON.stringify({ error: 'Failed to upload notes to storage; nothing was imported', line: row.line })
+                    };
+                }
+            }
+        }
+
+        await db.beginTransaction();
+
+        // Entries are appended in row order; keep other layout changes out
+        if (gamePlanId) {
+            await db.execute('SELECT id FROM game_plans WHERE id = $1 FOR UPDATE', [gamePlanId]);
+        }
+
+        for (const row of validated) {
+            await insertPost(db, row.id, row.values, { notesPath: row.notesPath, notes: row.fields.notes }, user.user_id);
+            if (gamePlanId) {
+                await db.execute(appendEntryQuery, [gamePlanId, row.id, sectionId, null]);
+            }
+        }
+
+        await db.commit();
+
+        return {
+            statusCode: 201,
+            body: JSON.stringify({
+                message: `Imported ${validated.length} posts`,
+                imported: validated.length,
+                game_plan_id: gamePlanId,
+                posts: validated.map((row) => ({
+                    line: row.line,
+                    post_id: row.id,
+                    title: row.values.title,
+                    notes_path: row.notesPath,
+                    ...(Object.keys(row.suggestions).length > 0 ? { suggestions: row.suggestions } : {})
+                }))
+            })
+        };
+    } catch (error) {
+        if (db.connection.inTransaction) {
+            await db.rollback();
+        }
+        await discardUploadedNotes(uploadedNotesPaths);
+
+        console.error('Error importing posts:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to import posts; nothing was imported', details: error.message })
+        };
+    }
+};
+
+module.exports = {
+    handleImportPosts,
+};
@@ -0,0 +1,244 @@
+// Local development server
+//
+// Wraps exports.handler from index.js in a plain Node HTTP server so the API
+// can be exercised without deploying. Each request is turned into an API
+// Gateway (REST, v1) proxy event and the handler's response is written back.
+//
+// Usage:
+//   node local-server.js [--port 3001] [--no-reload]
+//
+// Configuration is read from the environment, optionally seeded from a .env
+// file in the project root. The database uses the same variables as db.js:
+// DB_HOST, DB_USER, DB_PASSWORD, DB_NAME, DB_PORT and DB_SSL.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT_DIR = __dirname;
+
+// Modules kept across reloads so the Postgres pool isn't recreated every save
+const PERSISTENT_MODULES = new Set([path.join(ROOT_DIR, 'db.js')]);
+
+const TEXT_CONTENT_TYPES = [/^text\//, /json/, /xml/, /javascript/, /x-www-form-urlencoded/];
+
+// Load KEY=VALUE pairs from .env without overriding variables already set
+const loadEnvFile = (filePath) => {
+  if (!fs.existsSync(filePath)) return;
+
+  const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+
+    const separatorIndex = trimmed.indexOf('=');
+    if (separatorIndex === -1) continue;
+
+    const key = trimmed.slice(0, separatorIndex).trim();
+    let value = trimmed.slice(separatorIndex + 1).trim();
+    if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+      value = value.slice(1, -1);
+    }
+
+    if (process.env[key] === undefined) {
+      process.env[key] = value;
+    }
+  }
+  console.log(`Loaded environment from ${filePath}`);
+};
+
+const parseArgs = (argv) => {
+  const options = {
+    port: parseInt(process.env.PORT || '3001', 10),
+    reload: true,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port' && argv[i + 1]) {
+      options.port = parseInt(argv[++i], 10);
+    } else if (argv[i] === '--no-reload') {
+      options.reload = false;
+    }
+  }
+
+  return options;
+};
+
+// Drop project modules from the require cache so the next request picks up edits
+const clearProjectModules = () => {
+  for (const modulePath of Object.keys(require.cache)) {
+    if (!modulePath.startsWith(ROOT_DIR) || modulePath.includes(`${path.sep}node_modules${path.sep}`)) continue;
+    if (PERSISTENT_MODULES.has(modulePath)) continue;
+    delete require.cache[modulePath];
+  }
+};
+
+const watchForChanges = () => {
+  let reloadTimer = null;
+
+  fs.watch(ROOT_DIR, (eventType, filename) => {
+    if (!filename || !filename.endsWith('.js')) return;
+
+    // Editors often emit several events per save
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => {
+      clearProjectModules();
+      console.log(`Change detected in ${filename}, handler modules will reload on next request`);
+    }, 100);
+  });
+};
+
+const loadHandler = () => require(path.join(ROOT_DIR, 'index.js')).handler;
+
+const isTextContent = (contentType = '') => TEXT_CONTENT_TYPES.some((pattern) => pattern.test(contentType));
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+// Build an API Gateway proxy event from a Node request
+const toProxyEvent = (req, bodyBuffer) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  const headers = {};
+  const multiValueHeaders = {};
+  for (let i = 0; i < req.rawHeaders.length; i += 2) {
+    const name = req.rawHeaders[i];
+    const value = req.rawHeaders[i + 1];
+    headers[name] = value;
+    multiValueHeaders[name] = [...(multiValueHeaders[name] || []), value];
+  }
+
+  let queryStringParameters = null;
+  let multiValueQueryStringParameters = null;
+  for (const [key, value] of url.searchParams) {
+    queryStringParameters = queryStringParameters || {};
+    multiValueQueryStringParameters = multiValueQueryStringParameters || {};
+    queryStringParameters[key] = value;
+    multiValueQueryStringParameters[key] = [...(multiValueQueryStringParameters[key] || []), value];
+  }
+
+  const hasBody = bodyBuffer.length > 0;
+  const textBody = isTextContent(req.headers['content-type']);
+
+  return {
+    resource: '/{proxy+}',
+    path: url.pathname,
+    httpMethod: req.method,
+    headers,
+    multiValueHeaders,
+    queryStringParameters,
+    multiValueQueryStringParameters,
+    pathParameters: null,
+    stageVariables: null,
+    requestContext: {
+      requestId: crypto.randomUUID(),
+      stage: 'local',
+      httpMethod: req.method,
+      path: url.pathname,
+      requestTimeEpoch: Date.now(),
+      identity: {
+        sourceIp: req.socket.remoteAddress,
+        userAgent: req.headers['user-agent'] || null,
+      },
+    },
+    body: hasBody ? bodyBuffer.toString(textBody ? 'utf8' : 'base64') : null,
+    isBase64Encoded: hasBody && !textBody,
+  };
+};
+
+// API Gateway adds CORS headers in the deployed stack, so mirror that here
+const corsHeaders = (req) => ({
+  'Access-Control-Allow-Origin': req.headers.origin || '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS, HEAD',
+  'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || 'Content-Type, Authorization',
+  'Access-Control-Allow-Credentials': 'true',
+});
+
+// Write a Lambda proxy response back onto the Node response
+const sendProxyResult = (req, res, result) => {
+  const statusCode = result?.statusCode || 200;
+  const headers = { ...corsHeaders(req), ...(result?.headers || {}) };
+
+  for (const [name, values] of Object.entries(result?.multiValueHeaders || {})) {
+    headers[name] = values;
+  }
+
+  let body = result?.body ?? '';
+  if (result?.isBase64Encoded) {
+    body = Buffer.from(body, 'base64');
+  }
+
+  if (!Object.keys(headers).some((name) => name.toLowerCase() === 'content-type') && typeof body === 'string' && body) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  res.writeHead(statusCode, headers);
+  res.end(req.method === 'HEAD' ? undefined : body);
+};
+
+// Run `task` once every task queued before it has settled. Lambda gives each
+// container one request at a time, and db.js relies on that: its transaction
+// client is shared module state, so overlapping requests would interleave
+// their BEGIN and COMMIT.
+const createRequestQueue = () => {
+  let tail = Promise.resolve();
+  return (task) => {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+};
+
+const createLocalServer = () => {
+  const enqueue = createRequestQueue();
+
+  return http.createServer(async (req, res) => {
+    const startTime = Date.now();
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, corsHeaders(req));
+      res.end();
+      return;
+    }
+
+    try {
+      const bodyBuffer = await readBody(req);
+      const event = toProxyEvent(req, bodyBuffer);
+      const result = await enqueue(() => loadHandler()(event));
+      sendProxyResult(req, res, result);
+      console.log(`${req.method} ${req.url} -> ${result?.statusCode || 200} (${Date.now() - startTime}ms)`);
+    } catch (error) {
+      console.error(`${req.method} ${req.url} failed:`, error);
+      sendProxyResult(req, res, {
+        statusCode: 500,
+        body: JSON.stringify({ error: 'Local server error', message: error.message })
+      });
+    }
+  });
+};
+
+if (require.main === module) {
+  loadEnvFile(path.join(ROOT_DIR, '.env'));
+  process.env.NODE_ENV = process.env.NODE_ENV || 'development';
+
+  const options = parseArgs(process.argv.slice(2));
+  if (options.reload) {
+    watchForChanges();
+  }
+
+  createLocalServer().listen(options.port, () => {
+    console.log(`Local API listening on http://localhost:${options.port}`);
+    console.log(`Database: ${process.env.DB_HOST || '(DB_HOST not set)'}:${process.env.DB_PORT || '5432'}/${process.env.DB_NAME || ''}`);
+    console.log(options.reload ? 'Hot reload enabled' : 'Hot reload disabled');
+  });
+}
+
+module.exports = {
+  createLocalServer,
+  toProxyEvent,
+  sendProxyResult,
+};
@@ -0,0 +1,35 @@
+-- Language-aware post search
+--
+-- English posts keep using the 'english' text-search config on search_vector.
+-- Japanese and Traditional Chinese have no word boundaries the built-in
+-- parsers understand, so those posts are matched by substring on a normalized
+-- search_text column, backed by a trigram index.
+--
+-- Apply with: psql "$DATABASE_URL" -f migrations/001_cjk_search.sql
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE posts
+    ADD COLUMN IF NOT EXISTS search_text TEXT GENERATED ALWAYS AS (
+        lower(
+            coalesce(title, '') || ' ' ||
+            coalesce(movement_type, '') || ' ' ||
+            coalesce(starting_position, '') || ' ' ||
+            coalesce(ending_position, '') || ' ' ||
+            coalesce(practitioner, '')
+        )
+    ) STORED;
+
+-- Trigram index serves ILIKE '%term%' lookups for terms of three or more characters
+CREATE INDEX IF NOT EXISTS posts_search_text_trgm_idx
+    ON posts USING GIN (search_text gin_trgm_ops);
+
+-- Make sure the English full-text index exists and is rebuilt
+CREATE INDEX IF NOT EXISTS posts_search_vector_idx
+    ON posts USING GIN (search_vector);
+
+COMMIT;
+
+REINDEX INDEX posts_search_vector_idx;
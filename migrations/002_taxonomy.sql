@@ -0,0 +1,104 @@
+-- Position and movement-type taxonomy
+--
+-- Positions form a hierarchy (Guard > Closed Guard) and movement types are a
+-- flat list. Both use stable slug ids and carry labels in every language posts
+-- can be written in. Posts keep their free-text columns for display and gain
+-- nullable references to the taxonomy; the mapping at the end links existing
+-- posts whose text matches a label or a known alias.
+--
+-- Apply with: psql "$DATABASE_URL" -f migrations/002_taxonomy.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS positions (
+    id TEXT PRIMARY KEY,
+    parent_id TEXT REFERENCES positions(id),
+    label_en TEXT NOT NULL,
+    label_ja TEXT NOT NULL,
+    label_zh_tw TEXT NOT NULL,
+    -- Lower-case alternative spellings used when mapping free text
+    aliases TEXT[] NOT NULL DEFAULT '{}',
+    sort_order INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS movement_types (
+    id TEXT PRIMARY KEY,
+    label_en TEXT NOT NULL,
+    label_ja TEXT NOT NULL,
+    label_zh_tw TEXT NOT NULL,
+    aliases TEXT[] NOT NULL DEFAULT '{}',
+    sort_order INTEGER NOT NULL DEFAULT 0
+);
+
+INSERT INTO positions (id, parent_id, label_en, label_ja, label_zh_tw, aliases, sort_order) VALUES
+    ('not-specified', NULL, 'Not Specified', '未指定', '未指定', '{}', 0),
+    ('standing', NULL, 'Standing', 'スタンディング', '站立', '{"standup","stand up","feet"}', 10),
+    ('guard', NULL, 'Guard', 'ガード', '防守位', '{}', 20),
+    ('closed-guard', 'guard', 'Closed Guard', 'クローズドガード', '封閉式防守', '{"full guard","guard (closed)","closed"}', 21),
+    ('open-guard', 'guard', 'Open Guard', 'オープンガード', '開放式防守', '{"guard (open)","open"}', 22),
+    ('half-guard', 'guard', 'Half Guard', 'ハーフガード', '半防守', '{"half","guard (half)"}', 23),
+    ('butterfly-guard', 'open-guard', 'Butterfly Guard', 'バタフライガード', '蝴蝶防守', '{"butterfly"}', 24),
+    ('de-la-riva-guard', 'open-guard', 'De La Riva Guard', 'デラヒーバガード', 'De La Riva 防守', '{"de la riva","dlr"}', 25),
+    ('spider-guard', 'open-guard', 'Spider Guard', 'スパイダーガード', '蜘蛛防守', '{"spider"}', 26),
+    ('x-guard', 'open-guard', 'X-Guard', 'Xガード', 'X 防守', '{"x guard"}', 27),
+    ('single-leg-x', 'open-guard', 'Single Leg X', 'シングルレッグX', '單腿 X 防守', '{"slx","ashi garami x"}', 28),
+    ('side-control', NULL, 'Side Control', 'サイドコントロール', '側壓', '{"side mount","side","100 kilos","cross side"}', 30),
+    ('north-south', 'side-control', 'North-South', 'ノースサウス', '南北位', '{"north south"}', 31),
+    ('knee-on-belly', 'side-control', 'Knee on Belly', 'ニーオンベリー', '膝壓腹', '{"knee on stomach","knee ride"}', 32),
+    ('mount', NULL, 'Mount', 'マウント', '騎乘位', '{"full mount","top mount"}', 40),
+    ('s-mount', 'mount', 'S-Mount', 'Sマウント', 'S 騎乘', '{"s mount"}', 41),
+    ('back-control', NULL, 'Back Control', 'バックコントロール', '背後控制', '{"back","back mount","rear mount","back take"}', 50),
+    ('turtle', NULL, 'Turtle', 'タートル', '龜式', '{}', 60),
+    ('leg-entanglement', NULL, 'Leg Entanglement', '足絡み', '腿部纏繞', '{"leg lock position","legs"}', 70),
+    ('fifty-fifty', 'leg-entanglement', '50/50', 'フィフティフィフティ', '50/50', '{"fifty fifty","50-50"}', 71),
+    ('saddle', 'leg-entanglement', 'Saddle', 'サドル', '鞍式', '{"inside sankaku","honey hole","411","4-11"}', 72),
+    ('submission', NULL, 'Submission', 'サブミッション', '降伏', '{"sub","finish","tap"}', 80)
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO movement_types (id, label_en, label_ja, label_zh_tw, aliases, sort_order) VALUES
+    ('general', 'General', '一般', '一般', '{}', 0),
+    ('takedown', 'Takedown', 'テイクダウン', '摔技', '{"throw"}', 10),
+    ('guard-pull', 'Guard Pull', '引き込み', '拉入防守', '{"pull guard","pulling guard"}', 20),
+    ('sweep', 'Sweep', 'スイープ', '掃技', '{"reversal"}', 30),
+    ('pass', 'Guard Pass', 'パスガード', '過腿', '{"pass","passing","guard passing"}', 40),
+    ('transition', 'Transition', 'トランジション', '轉換', '{}', 50),
+    ('back-take', 'Back Take', 'バックテイク', '取背', '{"back take","taking the back"}', 60),
+    ('control', 'Control', 'コントロール', '控制', '{"pin","hold"}', 70),
+    ('submission', 'Submission', 'サブミッション', '降伏技', '{"sub","finish"}', 80),
+    ('escape', 'Escape', 'エスケープ', '逃脫', '{"escapes"}', 90),
+    ('defense', 'Defense', 'ディフェンス', '防禦', '{"defence","counter"}', 100)
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE posts
+    ADD COLUMN IF NOT EXISTS starting_position_id TEXT REFERENCES positions(id),
+    ADD COLUMN IF NOT EXISTS ending_position_id TEXT REFERENCES positions(id),
+    ADD COLUMN IF NOT EXISTS movement_type_id TEXT REFERENCES movement_types(id);
+
+CREATE INDEX IF NOT EXISTS posts_starting_position_id_idx ON posts (starting_position_id);
+CREATE INDEX IF NOT EXISTS posts_ending_position_id_idx ON posts (ending_position_id);
+CREATE INDEX IF NOT EXISTS posts_movement_type_id_idx ON posts (movement_type_id);
+
+-- Map existing free text onto the taxonomy: a case- and whitespace-insensitive
+-- match on any label or alias. Unmatched posts keep a NULL id.
+UPDATE posts p
+SET starting_position_id = pos.id
+FROM positions pos
+WHERE p.starting_position_id IS NULL
+  AND lower(regexp_replace(trim(p.starting_position), '\s+', ' ', 'g')) =
+      ANY (ARRAY[lower(pos.label_en), lower(pos.label_ja), lower(pos.label_zh_tw)] || pos.aliases);
+
+UPDATE posts p
+SET ending_position_id = pos.id
+FROM positions pos
+WHERE p.ending_position_id IS NULL
+  AND lower(regexp_replace(trim(p.ending_position), '\s+', ' ', 'g')) =
+      ANY (ARRAY[lower(pos.label_en), lower(pos.label_ja), lower(pos.label_zh_tw)] || pos.aliases);
+
+UPDATE posts p
+SET movement_type_id = mt.id
+FROM movement_types mt
+WHERE p.movement_type_id IS NULL
+  AND lower(regexp_replace(trim(p.movement_type), '\s+', ' ', 'g')) =
+      ANY (ARRAY[lower(mt.label_en), lower(mt.label_ja), lower(mt.label_zh_tw)] || mt.aliases);
+
+COMMIT;
@@ -0,0 +1,42 @@
+-- Ordered sections inside game plans
+--
+-- A game plan can be split into named sections ("Guard passing", "Finishes")
+-- that have their own order. Each game_plan_posts entry belongs to at most one
+-- section (NULL means the plan's unsectioned list), has an explicit order
+-- within it and carries a per-plan annotation. Existing entries keep the order
+-- game plans used to show: newest post first.
+--
+-- Apply with: psql "$DATABASE_URL" -f migrations/003_game_plan_sections.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS game_plan_sections (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    game_plan_id UUID NOT NULL REFERENCES game_plans(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS game_plan_sections_game_plan_idx ON game_plan_sections (game_plan_id, sort_order);
+
+ALTER TABLE game_plan_posts
+    ADD COLUMN IF NOT EXISTS section_id UUID REFERENCES game_plan_sections(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS sort_order INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS annotation TEXT;
+
+CREATE INDEX IF NOT EXISTS game_plan_posts_order_idx ON game_plan_posts (game_plan_id, section_id, sort_order);
+
+UPDATE game_plan_posts gpp
+SET sort_order = ordered.sort_order
+FROM (
+    SELECT gpp2.game_plan_id, gpp2.post_id,
+           (ROW_NUMBER() OVER (PARTITION BY gpp2.game_plan_id ORDER BY p.created_at DESC, p.id DESC) - 1)::int AS sort_order
+    FROM game_plan_posts gpp2
+    JOIN posts p ON p.id = gpp2.post_id
+) ordered
+WHERE gpp.game_plan_id = ordered.game_plan_id
+  AND gpp.post_id = ordered.post_id;
+
+COMMIT;
@@ -0,0 +1,17 @@
+-- Game plan fork lineage
+--
+-- A forked game plan remembers the plan it was copied from and that plan's
+-- owner at the time. The owner is kept separately so attribution survives
+-- the original plan being deleted.
+--
+-- Apply with: psql "$DATABASE_URL" -f migrations/004_game_plan_forks.sql
+
+BEGIN;
+
+ALTER TABLE game_plans
+    ADD COLUMN IF NOT EXISTS forked_from_id UUID REFERENCES game_plans(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS forked_from_owner_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS game_plans_forked_from_idx ON game_plans (forked_from_id);
+
+COMMIT;
@@ -0,0 +1,17 @@
+-- Post fork lineage
+--
+-- A forked post remembers the post it was copied from and that post's owner
+-- at the time, so the original author stays credited after the original is
+-- deleted.
+--
+-- Apply with: psql "$DATABASE_URL" -f migrations/005_post_forks.sql
+
+BEGIN;
+
+ALTER TABLE posts
+    ADD COLUMN IF NOT EXISTS forked_from_post_id UUID REFERENCES posts(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS forked_from_owner_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS posts_forked_from_idx ON posts (forked_from_post_id);
+
+COMMIT;
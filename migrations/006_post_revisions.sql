@@ -0,0 +1,26 @@
+-- Post revision history
+--
+-- Every save of a post stores a revision with the post's metadata and the
+-- full notes content, so edits can be compared and undone even though S3
+-- only ever holds the latest notes. Posts that existed before this migration
+-- get their first revision the next time they are edited.
+--
+-- Apply with: psql "$DATABASE_URL" -f migrations/006_post_revisions.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS post_revisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    -- Post columns at this revision, see REVISION_FIELDS in post-revisions.js
+    fields JSONB NOT NULL,
+    notes TEXT,
+    -- Set when this revision was made by restoring an older one
+    restored_from INTEGER,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (post_id, revision_number)
+);
+
+COMMIT;
@@ -0,0 +1,19 @@
+-- Trash for posts and game plans
+--
+-- Deleting a post or game plan now only sets deleted_at. Trashed rows are
+-- hidden everywhere except the owner's trash, can be restored, and are
+-- removed for good (with their S3 notes and game plan memberships) by the
+-- scheduled purge once TRASH_RETENTION_DAYS have passed.
+--
+-- Apply with: psql "$DATABASE_URL" -f migrations/007_trash.sql
+
+BEGIN;
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE game_plans ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+-- The trash listing and the purge only ever look at trashed rows
+CREATE INDEX IF NOT EXISTS posts_deleted_at_idx ON posts (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS game_plans_deleted_at_idx ON game_plans (deleted_at) WHERE deleted_at IS NOT NULL;
+
+COMMIT;
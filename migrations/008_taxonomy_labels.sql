@@ -0,0 +1,31 @@
+-- Taxonomy labels on existing posts
+--
+-- Posts saved through the API take the English label of the taxonomy entry
+-- their text resolves to, but 002_taxonomy.sql only linked the ids of older
+-- posts and left their text as it was ("closed", "Full guard"). This brings
+-- those posts in line, so one id always shows with one text. Text that
+-- matched no entry stays as written, as the columns remain free text.
+--
+-- Apply with: psql "$DATABASE_URL" -f migrations/008_taxonomy_labels.sql
+
+BEGIN;
+
+UPDATE posts p
+SET starting_position = pos.label_en
+FROM positions pos
+WHERE p.starting_position_id = pos.id
+  AND p.starting_position IS DISTINCT FROM pos.label_en;
+
+UPDATE posts p
+SET ending_position = pos.label_en
+FROM positions pos
+WHERE p.ending_position_id = pos.id
+  AND p.ending_position IS DISTINCT FROM pos.label_en;
+
+UPDATE posts p
+SET movement_type = mt.label_en
+FROM movement_types mt
+WHERE p.movement_type_id = mt.id
+  AND p.movement_type IS DISTINCT FROM mt.label_en;
+
+COMMIT;
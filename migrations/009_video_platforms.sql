@@ -0,0 +1,29 @@
+-- Video platform names
+--
+-- Posts now store video_platform as one of the lower-case names in
+-- SUPPORTED_PLATFORMS (video-url.js). This rewrites older posts to match:
+-- names are lowercased and trimmed, and common spellings of a supported
+-- platform ("YouTube", "youtu.be", "Bilibili.com") map to its name. Other
+-- platforms are kept, lowercased; edits that leave such a post's video as it
+-- is still go through, while a new or changed video must be a supported one.
+--
+-- Apply with: psql "$DATABASE_URL" -f migrations/009_video_platforms.sql
+
+BEGIN;
+
+UPDATE posts p
+SET video_platform = mapped.platform
+FROM (
+    SELECT id, CASE
+            WHEN lower(trim(video_platform)) IN ('youtube', 'youtube.com', 'youtu.be', 'yt') THEN 'youtube'
+            WHEN lower(trim(video_platform)) IN ('bilibili', 'bilibili.com', 'b23.tv') THEN 'bilibili'
+            WHEN lower(trim(video_platform)) IN ('vimeo', 'vimeo.com') THEN 'vimeo'
+            WHEN lower(trim(video_platform)) IN ('instagram', 'instagram.com', 'ig') THEN 'instagram'
+            ELSE lower(trim(video_platform))
+        END AS platform
+    FROM posts
+) mapped
+WHERE mapped.id = p.id
+  AND p.video_platform IS DISTINCT FROM mapped.platform;
+
+COMMIT;
@@ -0,0 +1,79 @@
+// Keyset (cursor) pagination helpers shared by the search handlers.
+//
+// Cursors are opaque base64url-encoded JSON holding the sort keys of the last
+// row on a page plus the kind of listing they belong to, so a cursor from one
+// sort order can't be replayed against another.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Totals are counted up to this many rows; beyond it the total is an estimate
+const TOTAL_COUNT_CAP = 1000;
+
+// Parse a `limit` query parameter, clamping it to 1..maxLimit
+const parseLimit = (value, defaultLimit = DEFAULT_PAGE_SIZE, maxLimit = MAX_PAGE_SIZE) => {
+    const limit = parseInt(value, 10);
+    if (Number.isNaN(limit) || limit < 1) {
+        return defaultLimit;
+    }
+    return Math.min(limit, maxLimit);
+};
+
+const encodeCursor = (kind, values) => Buffer.from(JSON.stringify({ k: kind, v: values })).toString('base64url');
+
+// Returns the cursor's key values, or null if the cursor is malformed or was
+// issued for a different kind of listing
+const decodeCursor = (cursor, kind, keyCount) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!decoded || decoded.k !== kind || !Array.isArray(decoded.v) || decoded.v.length !== keyCount) {
+            return null;
+        }
+        return decoded.v;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Build a WHERE fragment selecting rows strictly after the cursor position.
+// `keys` is the ORDER BY list as [{ expr, direction }] and `values` the cursor
+// values in the same order. Returns { clause, params } with placeholders
+// numbered from `paramCounter`.
+const keysetCondition = (keys, values, paramCounter) => {
+    const params = [];
+    const placeholders = values.map((value) => {
+        params.push(value);
+        return `$${paramCounter + params.length - 1}`;
+    });
+
+    const alternatives = keys.map((key, index) => {
+        const equalities = keys.slice(0, index).map((previous, previousIndex) => `${previous.expr} = ${placeholders[previousIndex]}`);
+        const operator = key.direction === 'ASC' ? '>' : '<';
+        return `(${[...equalities, `${key.expr} ${operator} ${placeholders[index]}`].join(' AND ')})`;
+    });
+
+    return { clause: `(${alternatives.join(' OR ')})`, params };
+};
+
+// Count matching rows, stopping at TOTAL_COUNT_CAP so deep result sets stay cheap
+const countWithCap = async (db, fromAndWhere, params) => {
+    const [rows] = await db.execute(
+        `SELECT COUNT(*)::int AS total FROM (SELECT 1 ${fromAndWhere} LIMIT ${TOTAL_COUNT_CAP + 1}) capped`,
+        params
+    );
+    const total = rows[0] ? rows[0].total : 0;
+    return {
+        total_estimate: Math.min(total, TOTAL_COUNT_CAP),
+        total_is_exact: total <= TOTAL_COUNT_CAP
+    };
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    parseLimit,
+    encodeCursor,
+    decodeCursor,
+    keysetCondition,
+    countWithCap,
+};
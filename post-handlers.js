@@ -1,49 +1,113 @@
 const { uuidv7 } = require('uuidv7');
 const { authenticateToken } = require('./auth');
+const { getViewerId, isOwner, canView, visibilityCondition } = require('./visibility');
+const { parseLimit, encodeCursor, decodeCursor, keysetCondition, countWithCap } = require('./pagination');
+const { resolveSearchMode, isValidSearchLanguage, buildPostSearch } = require('./text-search');
+const { canonicalizePostFields } = require('./autocomplete-handlers');
+const { resolvePostTaxonomy } = require('./taxonomy-handlers');
+const { REVISION_FIELDS, recordRevision, ensureBaselineRevision } = require('./post-revisions');
+const { versionTag, ifMatchSatisfied, preconditionFailed } = require('./etag');
+const { resolveVideoFields } = require('./video-url');
+
+// Fork ancestors listed with a post, nearest first
+const MAX_LINEAGE_DEPTH = 10;
+
+const ALLOWED_LANGUAGES = ['English', 'Japanese', 'Traditional Chinese'];
+const PUBLIC_STATUSES = ['public', 'private', 'subscribers'];
+
+// Fields stored both as text and as a taxonomy id
+const TAXONOMY_FIELDS = ['movement_type', 'starting_position', 'ending_position'];
 
 // Handle View Post
-const handleViewPost = async (event, db) => {
+const handleViewPost = async (event, db, user) => {
     const postId = event.pathParameters.id;
     const { getMarkdownUrl } = require('./s3-helper'); // Import S3 helper
 
-    // Use the posts_with_owner view which already joins posts with profiles
+    // Use the posts_with_owner view which already joins posts with profiles;
+    // taxonomy ids postdate the view, so they come from posts directly
     const query = `
       SELECT 
-        id,
-        title,
-        video_id,
-        video_platform,
-        movement_type,
-        starting_position,
-        ending_position,
-        starting_top_bottom,
-        ending_top_bottom,
-        gi_nogi,
-        practitioner,
-        sequence_start_time,
-        public_status,
-        language,
-        notes_path,
-        created_at,
-        updated_at,
-        owner_name,
-        avatar_url,
-        belt,
-        academy
-      FROM posts_with_owner
-      WHERE id = $1
+        v.id,
+        v.title,
+        v.video_id,
+        v.video_platform,
+        v.movement_type,
+        v.starting_position,
+        v.ending_position,
+        v.starting_top_bottom,
+        v.ending_top_bottom,
+        v.gi_nogi,
+        v.practitioner,
+        v.sequence_start_time,
+        v.public_status,
+        v.language,
+        v.notes_path,
+        v.created_at,
+        v.updated_at,
+        v.owner_id,
+        v.owner_name,
+        v.avatar_url,
+        v.belt,
+        v.academy,
+        p.movement_type_id,
+        p.starting_position_id,
+        p.ending_position_id,
+        p.deleted_at,
+        p.forked_from_post_id,
+        (SELECT username FROM profiles WHERE user_id = p.forked_from_owner_id) AS forked_from_username,
+        (SELECT COUNT(*)::int FROM posts forks WHERE forks.forked_from_post_id = p.id AND forks.deleted_at IS NULL) AS fork_count
+      FROM posts_with_owner v
+      JOIN posts p ON p.id = v.id
+      WHERE v.id = $1
     `;
 
     try {
         // Execute the query and fetch the post data
         const [results] = await db.execute(query, [postId]);
 
-        // Check if the post exists
-        if (results.length === 0) {
+        // Check if the post exists and the viewer may see it; private posts look missing to others
+        if (results.length === 0 || !canView(results[0], user)) {
             return { statusCode: 404, body: JSON.stringify({ error: 'Post not found' }) };
         }
 
         const post = results[0];
+        post.is_owner = isOwner(post, user);
+        delete post.owner_id;
+        delete post.deleted_at;
+
+        // Credit the original author, and link the posts this one descends
+        // from as far as the viewer may see them
+        post.forked_from = post.forked_from_username
+            ? { username: post.forked_from_username, post_id: null, title: null }
+            : null;
+        post.lineage = [];
+        if (post.forked_from_post_id) {
+            const [ancestors] = await db.execute(`
+                WITH RECURSIVE ancestors AS (
+                    SELECT src.id, src.title, src.owner_id, src.public_status, src.deleted_at, src.forked_from_post_id, 1 AS depth
+                    FROM posts src
+                    WHERE src.id = $1
+                    UNION ALL
+                    SELECT src.id, src.title, src.owner_id, src.public_status, src.deleted_at, src.forked_from_post_id, a.depth + 1
+                    FROM posts src
+                    JOIN ancestors a ON src.id = a.forked_from_post_id
+                    WHERE a.depth < ${MAX_LINEAGE_DEPTH}
+                )
+                SELECT a.id, a.title, a.owner_id, a.public_status, a.deleted_at, pr.username
+                FROM ancestors a
+                LEFT JOIN profiles pr ON pr.user_id = a.owner_id
+                ORDER BY a.depth
+            `, [post.forked_from_post_id]);
+
+            post.lineage = ancestors.map((ancestor) => (canView(ancestor, user)
+                ? { post_id: ancestor.id, title: ancestor.title, username: ancestor.username }
+                : { post_id: null, title: null, username: ancestor.username }));
+            if (post.forked_from && post.lineage.length > 0) {
+                post.forked_from = { ...post.lineage[0], username: post.forked_from.username };
+            }
+        }
+        delete post.forked_from_post_id;
+        delete post.forked_from_username;
 
         // If there's a markdown notes path, get the full URL
         if (post.notes_path) {
@@ -59,9 +123,10 @@ const handleViewPost = async (event, db) => {
             }
         }
 
-        // Return the post data
+        // Return the post data, versioned for conditional edits
         return {
             statusCode: 200,
+            headers: { ETag: versionTag(post.updated_at) },
             body: JSON.stringify(post),
         };
     } catch (error) {
@@ -70,8 +135,46 @@ const handleViewPost = async (event, db) => {
     }
 };
 
+// Fields /search-posts can return facet counts for
+const POST_FACET_FIELDS = ['movement_type', 'starting_position', 'ending_position', 'gi_nogi', 'language', 'practitioner'];
+const MAX_FACET_VALUES = 20;
+
+// Build one query returning (facet, value, count) rows for each requested field.
+// Each facet is counted under every active filter except its own, so the UI can
+// show what picking a different value for that field would return. The base
+// CTE scans the matching posts once and exposes each facet filter as a flag.
+const buildFacetQuery = (conditions, facetConditions, requestedFacets) => {
+    const facetFilterSql = Object.values(facetConditions);
+    const baseConditions = conditions.filter((condition) => !facetFilterSql.includes(condition));
+    const activeFacetFilters = Object.keys(facetConditions);
+
+    const flagColumns = activeFacetFilters.map((field) => `(${facetConditions[field]}) AS matches_${field}`);
+
+    const facetSelects = requestedFacets.map((field) => {
+        const otherFlags = activeFacetFilters.filter((other) => other !== field).map((other) => `matches_${other}`);
+        return `(
+            SELECT '${field}' AS facet, ${field} AS value, COUNT(*)::int AS count
+            FROM matching_posts
+            WHERE ${[`${field} IS NOT NULL`, ...otherFlags].join(' AND ')}
+            GROUP BY ${field}
+            ORDER BY count DESC, value ASC
+            LIMIT ${MAX_FACET_VALUES}
+        )`;
+    });
+
+    return `
+        WITH matching_posts AS (
+            SELECT ${[...POST_FACET_FIELDS.map((field) => `p.${field}`), ...flagColumns].join(', ')}
+            FROM posts p
+            JOIN profiles pr ON p.owner_id = pr.user_id
+            ${baseConditions.length > 0 ? `WHERE ${baseConditions.join(' AND ')}` : ''}
+        )
+        ${facetSelects.join(' UNION ALL ')}
+    `;
+};
+
 // Handle Search
-const handleSearchPosts = async (event, db) => {
+const handleSearchPosts = async (event, db, user) => {
     console.log("Search handler called with parameters:", JSON.stringify(event.queryStringParameters));
 
     // Extract query parameters with defaults
@@ -88,19 +191,62 @@ const handleSearchPosts = async (event, db) => {
         publicStatus = '',
         language = '',
         sortOption = 'newToOld',
+        cursor = '',
+        limit = '',
+        facets: facetsParam = '',
+        searchLanguage = '',
     } = event.queryStringParameters || {};
 
     console.log("Extracted parameters:", {
         search, ownerName, movementType, startingPosition, endingPosition,
         startingTopBottom, endingTopBottom, giNogi, practitioner,
-        publicStatus, language, sortOption
+        publicStatus, language, sortOption, cursor, limit, facets: facetsParam,
+        searchLanguage
     });
 
+    if (!isValidSearchLanguage(searchLanguage)) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'searchLanguage must be one of: English, Japanese, Traditional Chinese, all' })
+        };
+    }
+
+    // facets=true asks for every facet, facets=false (or empty) for none,
+    // otherwise a comma-separated list of fields
+    const requestedFacets = facetsParam === 'true'
+        ? POST_FACET_FIELDS
+        : facetsParam === 'false'
+            ? []
+            : [...new Set(facetsParam.split(',').map((field) => field.trim()).filter(Boolean))];
+    const unknownFacets = requestedFacets.filter((field) => !POST_FACET_FIELDS.includes(field));
+    if (unknownFacets.length > 0) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `Unknown facets: ${unknownFacets.join(', ')}. Allowed: ${POST_FACET_FIELDS.join(', ')}` })
+        };
+    }
+
     const sortOrder = sortOption === 'oldToNew' ? 'ASC' : 'DESC';
+    const pageSize = parseLimit(limit);
+    const hasSearch = Boolean(search && search.trim() !== '');
+    const searchMode = hasSearch ? resolveSearchMode(search, { searchLanguage, language }) : null;
+
+    // Cursors are tied to the ordering they were issued for
+    const cursorKind = `posts:${hasSearch ? `relevance-${searchMode}` : 'date'}:${sortOrder}`;
+    let cursorValues = null;
+    if (cursor) {
+        cursorValues = decodeCursor(cursor, cursorKind, hasSearch ? 3 : 2);
+        if (!cursorValues) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: 'Invalid or expired cursor' })
+            };
+        }
+    }
 
-    // Get current user from event (authenticated user)
-    const currentUser = event.requestContext?.authorizer?.username || null;
-    const currentUserId = event.requestContext?.authorizer?.user_id || null;
+    // Viewer resolved from an optional Bearer token, null for anonymous requests
+    const currentUser = user?.username || null;
+    const currentUserId = getViewerId(user);
 
     console.log("Current user context:", { currentUser, currentUserId });
 
@@ -119,20 +265,27 @@ const handleSearchPosts = async (event, db) => {
                 console.log(`No user found with username "${ownerName}"`);
                 return {
                     statusCode: 200,
-                    body: JSON.stringify({ posts: [], count: 0 })
+                    body: JSON.stringify({
+                        posts: [], count: 0, next_cursor: null, total_estimate: 0, total_is_exact: true,
+                        ...(requestedFacets.length > 0 ? { facets: Object.fromEntries(requestedFacets.map((field) => [field, []])) } : {})
+                    })
                 };
             }
         }
 
-        // Build query conditions
+        // Build query conditions. Filters on facet fields are also kept by
+        // field so facet counts can ignore a field's own filter.
         const conditions = [];
+        const facetConditions = {};
         const queryParams = [];
         let paramCounter = 1;
 
-        if (search && search.trim() !== '') {
-            conditions.push(`p.search_vector @@ plainto_tsquery('english', $${paramCounter})`);
-            queryParams.push(search.trim());
-            paramCounter++;
+        let postSearch = null;
+        if (hasSearch) {
+            postSearch = buildPostSearch('p', search, searchMode, paramCounter);
+            conditions.push(postSearch.condition);
+            queryParams.push(...postSearch.params);
+            paramCounter += postSearch.params.length;
         }
 
         if (ownerUserId) {
@@ -142,19 +295,22 @@ const handleSearchPosts = async (event, db) => {
         }
 
         if (movementType) {
-            conditions.push(`p.movement_type = $${paramCounter}`);
+            facetConditions.movement_type = `p.movement_type = $${paramCounter}`;
+            conditions.push(facetConditions.movement_type);
             queryParams.push(movementType);
             paramCounter++;
         }
 
         if (startingPosition) {
-            conditions.push(`p.starting_position = $${paramCounter}`);
+            facetConditions.starting_position = `p.starting_position = $${paramCounter}`;
+            conditions.push(facetConditions.starting_position);
             queryParams.push(startingPosition);
             paramCounter++;
         }
 
         if (endingPosition) {
-            conditions.push(`p.ending_position = $${paramCounter}`);
+            facetConditions.ending_position = `p.ending_position = $${paramCounter}`;
+            conditions.push(facetConditions.ending_position);
             queryParams.push(endingPosition);
             paramCounter++;
         }
@@ -172,13 +328,15 @@ const handleSearchPosts = async (event, db) => {
         }
 
         if (giNogi) {
-            conditions.push(`p.gi_nogi = $${paramCounter}`);
+            facetConditions.gi_nogi = `p.gi_nogi = $${paramCounter}`;
+            conditions.push(facetConditions.gi_nogi);
             queryParams.push(giNogi);
             paramCounter++;
         }
 
         if (practitioner) {
-            conditions.push(`p.practitioner ILIKE $${paramCounter}`);
+            facetConditions.practitioner = `p.practitioner ILIKE $${paramCounter}`;
+            conditions.push(facetConditions.practitioner);
             queryParams.push(`%${practitioner}%`);
             paramCounter++;
         }
@@ -190,37 +348,61 @@ const handleSearchPosts = async (event, db) => {
         }
 
         if (language) {
-            conditions.push(`p.language = $${paramCounter}`);
+            facetConditions.language = `p.language = $${paramCounter}`;
+            conditions.push(facetConditions.language);
             queryParams.push(language);
             paramCounter++;
         }
 
         // Privacy condition: public, subscribers, or private owned by current user
-        const privacyCondition = `(
-            p.public_status = 'public' OR 
-            p.public_status = 'subscribers' OR
-            (p.public_status = 'private' AND p.owner_id = $${paramCounter})
-        )`;
-        conditions.push(privacyCondition);
-        queryParams.push(currentUserId || 0);
+        conditions.push(visibilityCondition('p', paramCounter));
+        queryParams.push(currentUserId);
         paramCounter++;
 
-        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const fromClause = `
+          FROM 
+            posts p
+          JOIN 
+            profiles pr ON p.owner_id = pr.user_id
+          ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        `;
+
+        // Count before the cursor condition so every page reports the same total
+        const totals = await countWithCap(db, fromClause, queryParams);
+
+        let facets;
+        if (requestedFacets.length > 0) {
+            const [facetRows] = await db.execute(
+                buildFacetQuery(conditions, facetConditions, requestedFacets),
+                queryParams
+            );
+            facets = Object.fromEntries(requestedFacets.map((field) => [field, []]));
+            facetRows.forEach((row) => {
+                facets[row.facet].push({ value: row.value, count: row.count });
+            });
+        }
 
-        // Sorting: relevance (if search) then date
-        let orderByClause = '';
-        if (search && search.trim() !== '') {
-            const searchParamIndex = queryParams.findIndex(param => param === search.trim()) + 1;
-            orderByClause = `
-                ORDER BY 
-                    ts_rank(p.search_vector, plainto_tsquery('english', $${searchParamIndex})) DESC,
-                    p.created_at ${sortOrder}
-            `;
-        } else {
-            orderByClause = `ORDER BY p.created_at ${sortOrder}`; // Could sort by updated_at if preferred
+        // Sorting: relevance (if search) then date, with id as a tie-breaker so
+        // the order is total and cursors are stable
+        const rankExpr = hasSearch ? postSearch.rankExpr : null;
+        const sortKeys = [
+            ...(hasSearch ? [{ expr: rankExpr, direction: 'DESC' }] : []),
+            { expr: 'p.created_at', direction: sortOrder },
+            { expr: 'p.id', direction: sortOrder },
+        ];
+
+        const pageParams = [...queryParams];
+        let cursorClause = '';
+        if (cursorValues) {
+            const keyset = keysetCondition(sortKeys, cursorValues, paramCounter);
+            cursorClause = `${conditions.length > 0 ? 'AND' : 'WHERE'} ${keyset.clause}`;
+            pageParams.push(...keyset.params);
+            paramCounter += keyset.params.length;
         }
 
-        // Full query including updated_at
+        const orderByClause = `ORDER BY ${sortKeys.map((key) => `${key.expr} ${key.direction}`).join(', ')}`;
+
+        // Full query including updated_at; one extra row tells us whether there is a next page
         const fullQuery = `
           SELECT 
             p.id,
@@ -238,33 +420,56 @@ const handleSearchPosts = async (event, db) => {
             p.public_status,
             p.language,
             p.notes_path,
+            p.movement_type_id,
+            p.starting_position_id,
+            p.ending_position_id,
             p.created_at,
             p.updated_at,
             pr.username,
             pr.belt,
             pr.academy,
-            pr.avatar_url
-          FROM 
-            posts p
-          JOIN 
-            profiles pr ON p.owner_id = pr.user_id
-          ${whereClause}
+            pr.avatar_url,
+            p.created_at::text AS cursor_created_at
+            ${hasSearch ? `, ${rankExpr}::text AS cursor_rank` : ''}
+          ${fromClause}
+          ${cursorClause}
           ${orderByClause}
-          LIMIT 50
+          LIMIT ${pageSize + 1}
         `;
 
         console.log("Executing search query:", fullQuery);
-        console.log("With parameters:", queryParams);
+        console.log("With parameters:", pageParams);
 
-        const [results] = await db.execute(fullQuery, queryParams);
+        const [rows] = await db.execute(fullQuery, pageParams);
+        const hasMore = rows.length > pageSize;
+        const results = rows.slice(0, pageSize);
         console.log(`Found ${results.length} results`);
 
+        let nextCursor = null;
+        if (hasMore) {
+            const last = results[results.length - 1];
+            nextCursor = encodeCursor(cursorKind, [
+                ...(hasSearch ? [last.cursor_rank] : []),
+                last.cursor_created_at,
+                last.id,
+            ]);
+        }
+
+        results.forEach((row) => {
+            delete row.cursor_created_at;
+            delete row.cursor_rank;
+        });
+
         // Return results as-is (snake_case) since frontend maps to camelCase
         return {
             statusCode: 200,
             body: JSON.stringify({
                 posts: results,
-                count: results.length
+                count: results.length,
+                next_cursor: nextCursor,
+                ...totals,
+                ...(searchMode ? { search_mode: searchMode } : {}),
+                ...(facets ? { facets } : {})
             }),
         };
     } catch (error) {
@@ -279,60 +484,153 @@ const handleSearchPosts = async (event, db) => {
     }
 };
 
-// Handle New Post
-const handleNewPost = async (event, db, user) => {
-    const { uploadMarkdownToS3 } = require('./s3-helper');
-    let { title, video_id, video_platform, movement_type, starting_position, ending_position, starting_top_bottom, ending_top_bottom, gi_nogi, practitioner, sequence_start_time, public_status, language, notes } = JSON.parse(event.body);
-
-    // Generate a new UUIDv7 for the post (time-ordered)
-    const id = uuidv7();
+// Fill in defaults for a post's basic fields and validate them, as for a new
+// post. The video may be given as video_url instead of video_id and
+// video_platform; `checkVideo: false` skips re-checking a stored video.
+// Positions, movement type and top/bottom are resolved separately against
+// the taxonomy. Returns { values } or { error }.
+const preparePostFields = (fields, { checkVideo = true } = {}) => {
+    const video = checkVideo ? resolveVideoFields(fields) : { values: {} };
+    if (video.error) {
+        return { error: video.error };
+    }
+    fields = { ...fields, ...video.values };
+    delete fields.video_url;
 
-    // Validate and provide defaults for required fields
-    if (!video_id || !video_platform) {
-        return {
-            statusCode: 400,
-            body: JSON.stringify({ error: 'Video ID and platform are required' })
-        };
+    if (!fields.video_id || !fields.video_platform) {
+        return { error: 'Video ID and platform are required' };
     }
 
-    // Provide default values if missing
-    title = title || `Video ${video_id}`;
-    movement_type = movement_type || 'General';
-    starting_position = starting_position || 'Not Specified';
-    ending_position = ending_position || 'Not Specified';
-    starting_top_bottom = starting_top_bottom || 'NEUTRAL';
-    ending_top_bottom = ending_top_bottom || 'NEUTRAL';
-    gi_nogi = gi_nogi || 'Gi';
-    practitioner = practitioner || null;
-    sequence_start_time = sequence_start_time || '00:00:00';
-    public_status = public_status || 'public';
-    language = language || 'English';
+    const values = {
+        ...fields,
+        title: fields.title || `Video ${fields.video_id}`,
+        gi_nogi: fields.gi_nogi || 'Gi',
+        practitioner: fields.practitioner || null,
+        sequence_start_time: fields.sequence_start_time || '00:00:00',
+        public_status: fields.public_status || 'public',
+        language: fields.language || 'English'
+    };
 
     // Validate language is one of the allowed values from the schema
-    const allowedLanguages = ['English', 'Japanese', 'Traditional Chinese'];
-    if (!allowedLanguages.includes(language)) {
-        return {
-            statusCode: 400,
-            body: JSON.stringify({ error: `Language must be one of: ${allowedLanguages.join(', ')}` })
-        };
+    if (!ALLOWED_LANGUAGES.includes(values.language)) {
+        return { error: `Language must be one of: ${ALLOWED_LANGUAGES.join(', ')}` };
     }
 
     // Validate public_status is one of the allowed values
-    if (!['public', 'private', 'subscribers'].includes(public_status)) {
-        return {
-            statusCode: 400,
-            body: JSON.stringify({ error: 'Public status must be either "public", "private", or "subscribers"' })
-        };
+    if (!PUBLIC_STATUSES.includes(values.public_status)) {
+        return { error: 'Public status must be either "public", "private", or "subscribers"' };
     }
 
     // Validate time format
-    if (!/^\d{2}:\d{2}:\d{2}$/.test(sequence_start_time)) {
-        return {
-            statusCode: 400,
-            body: JSON.stringify({ error: 'Sequence start time must be in HH:MM:SS format' })
-        };
+    if (!/^\d{2}:\d{2}:\d{2}$/.test(values.sequence_start_time)) {
+        return { error: 'Sequence start time must be in HH:MM:SS format' };
     }
 
+    // Ensure title doesn't exceed 63 characters as defined in the schema
+    if (values.title.length > 63) {
+        values.title = values.title.substring(0, 60) + '...';
+    }
+
+    return { values };
+};
+
+// Whether an edit leaves the post's stored video as it is. Such a video isn't
+// checked again, so posts on platforms that are no longer accepted (see
+// migrations/009_video_platforms.sql) stay editable.
+const keepsStoredVideo = (fields, stored) => !fields.video_url &&
+    String(fields.video_id ?? '').trim() === stored.video_id &&
+    String(fields.video_platform ?? '').trim().toLowerCase() === stored.video_platform;
+
+// Validate a new post's fields and map them onto the taxonomy, as for
+// /newpost. Returns { values, suggestions } or { error } for a 400 response.
+const resolveNewPostFields = async (db, fields, user) => {
+    const prepared = preparePostFields(fields);
+    if (prepared.error) {
+        return { error: prepared.error };
+    }
+    const values = prepared.values;
+
+    // Map positions and movement type onto the taxonomy
+    const taxonomy = await resolvePostTaxonomy(db, values);
+    if (taxonomy.error) {
+        return { error: taxonomy.error };
+    }
+    Object.assign(values, taxonomy.values);
+
+    // Values outside the taxonomy still reuse the established spelling
+    const { values: canonical, suggestions } = await canonicalizePostFields(db, {
+        ...(values.movement_type_id ? {} : { movement_type: values.movement_type }),
+        ...(values.starting_position_id ? {} : { starting_position: values.starting_position }),
+        ...(values.ending_position_id ? {} : { ending_position: values.ending_position }),
+        practitioner: values.practitioner
+    }, user);
+    Object.assign(values, canonical);
+
+    return { values, suggestions };
+};
+
+// Insert a post whose fields went through resolveNewPostFields and record it
+// as revision 1. `notes` is the content already uploaded to `notesPath`.
+const insertPost = async (db, id, values, { notesPath, notes }, ownerId) => {
+    const query = `
+        INSERT INTO posts (
+          id,
+          title,
+          video_id,
+          video_platform,
+          owner_id,
+          movement_type,
+          starting_position,
+          ending_position,
+          starting_top_bottom,
+          ending_top_bottom,
+          gi_nogi,
+          practitioner,
+          sequence_start_time,
+          public_status,
+          language,
+          notes_path,
+          movement_type_id,
+          starting_position_id,
+          ending_position_id
+        ) VALUES ($1::uuid, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+      `;
+    await db.execute(query, [
+        id, // Cast explicitly to UUID type
+        values.title,
+        values.video_id,
+        values.video_platform,
+        ownerId, // Using user_id instead of username
+        values.movement_type,
+        values.starting_position,
+        values.ending_position,
+        values.starting_top_bottom,
+        values.ending_top_bottom,
+        values.gi_nogi,
+        values.practitioner,
+        values.sequence_start_time,
+        values.public_status,
+        values.language,
+        notesPath,
+        values.movement_type_id,
+        values.starting_position_id,
+        values.ending_position_id
+    ]);
+
+    await recordRevision(db, id, ownerId, {
+        fields: values,
+        notes: notesPath ? notes : null
+    });
+};
+
+// Handle New Post
+const handleNewPost = async (event, db, user) => {
+    const { uploadMarkdownToS3 } = require('./s3-helper');
+    const { notes, ...fields } = JSON.parse(event.body);
+
+    // Generate a new UUIDv7 for the post (time-ordered)
+    const id = uuidv7();
+
     try {
         // First, get the username for the current user
         const [userResult] = await db.execute('SELECT username FROM profiles WHERE user_id = $1', [user.user_id]);
@@ -343,7 +641,16 @@ const handleNewPost = async (event, db, user) => {
                 body: JSON.stringify({ error: 'User profile not found' })
             };
         }
-        
+
+        const resolved = await resolveNewPostFields(db, fields, user);
+        if (resolved.error) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: resolved.error })
+            };
+        }
+        const { values, suggestions } = resolved;
+
         let notesPath = null;
 
         // If notes are provided, upload them to S3
@@ -361,53 +668,20 @@ const handleNewPost = async (event, db, user) => {
             }
         }
 
-        // Ensure title doesn't exceed 63 characters as defined in the schema
-        if (title.length > 63) {
-            title = title.substring(0, 60) + '...';
+        // Insert the new post and its first revision together, so a failure
+        // leaves no post behind for a retry to duplicate
+        try {
+            await db.beginTransaction();
+            await insertPost(db, id, values, { notesPath, notes }, user.user_id);
+            await db.commit();
+        } catch (insertError) {
+            if (db.connection.inTransaction) {
+                await db.rollback();
+            }
+            await removeNotesFile(db, notesPath, id);
+            throw insertError;
         }
 
-        // Insert the new post into the database with the updated schema
-        const query = `
-        INSERT INTO posts (
-          id,
-          title,
-          video_id,
-          video_platform,
-          owner_id,
-          movement_type,
-          starting_position,
-          ending_position,
-          starting_top_bottom,
-          ending_top_bottom,
-          gi_nogi,
-          practitioner,
-          sequence_start_time,
-          public_status,
-          language,
-          notes_path
-        ) VALUES ($1::uuid, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
-      `;
-        const values = [
-            id, // Cast explicitly to UUID type
-            title,
-            video_id,
-            video_platform,
-            user.user_id, // Using user_id instead of username
-            movement_type,
-            starting_position,
-            ending_position,
-            starting_top_bottom,
-            ending_top_bottom,
-            gi_nogi,
-            practitioner,
-            sequence_start_time,
-            public_status,
-            language,
-            notesPath
-        ];
-
-        await db.execute(query, values);
-
         console.log(`Post created successfully with ID: ${id}`);
 
         // Return success message
@@ -416,7 +690,8 @@ const handleNewPost = async (event, db, user) => {
             body: JSON.stringify({
                 message: 'Post created successfully',
                 post_id: id,
-                notes_path: notesPath
+                notes_path: notesPath,
+                ...(Object.keys(suggestions).length > 0 ? { suggestions } : {})
             })
         };
     } catch (error) {
@@ -432,9 +707,131 @@ const handleNewPost = async (event, db, user) => {
     }
 };
 
+// Forks made before notes were copied share the original's S3 object; such
+// an object has to outlive the post being edited or deleted
+const isNotesPathShared = async (db, notesPath, postId) => {
+    const [rows] = await db.execute(
+        'SELECT 1 FROM posts WHERE notes_path = $1 AND id <> $2 LIMIT 1',
+        [notesPath, postId]
+    );
+    return rows.length > 0;
+};
+
+// Delete a notes file once no post uses it. Failures are only logged: the
+// file is left orphaned, but nothing points at it any more.
+const removeNotesFile = async (db, notesPath, postId) => {
+    const { deleteMarkdownFromS3 } = require('./s3-helper');
+    if (!notesPath) {
+        return;
+    }
+
+    try {
+        if (!(await isNotesPathShared(db, notesPath, postId))) {
+            await deleteMarkdownFromS3(notesPath);
+            console.log(`Deleted markdown file: ${notesPath}`);
+        }
+    } catch (deleteError) {
+        console.error('Error deleting markdown file:', deleteError);
+    }
+};
+
+// Save an edit to a post the caller owns. `fields` holds every column in
+// REVISION_FIELDS; `notes` is undefined to leave the notes alone, and
+// `restoredFrom` the revision a restore brings back.
+//
+// New notes are uploaded to a key of their own before the transaction, and
+// the post switches to them by its notes_path. The post row is locked and
+// checked against If-Match, and the update and its revision are written
+// under that lock. The previous notes file is deleted only after the commit;
+// a save that fails or is refused with 412 deletes its own upload instead,
+// so the live notes are never touched by it.
+// Returns { updatedAt, notesPath, revision } or { error } with the response.
+const savePostEdit = async (db, event, postId, user, { fields, notes, restoredFrom = null }) => {
+    const { uploadMarkdownToS3 } = require('./s3-helper');
+
+    let uploadedNotesPath = null;
+    if (notes && notes.trim() !== '') {
+        try {
+            uploadedNotesPath = await uploadMarkdownToS3(notes, postId, user.user_id, uuidv7());
+            console.log(`Uploaded new markdown file: ${uploadedNotesPath}`);
+        } catch (s3Error) {
+            console.error('Error uploading markdown file:', s3Error);
+            return {
+                error: {
+                    statusCode: 500,
+                    body: JSON.stringify({ error: 'Failed to update notes file' })
+                }
+            };
+        }
+    }
+
+    let previousNotesPath = null;
+    let saved = null;
+    try {
+        await db.beginTransaction();
+
+        const [postResults] = await db.execute(
+            'SELECT notes_path, updated_at FROM posts WHERE id = $1 AND owner_id = $2 AND deleted_at IS NULL FOR UPDATE',
+            [postId, user.user_id]
+        );
+        if (postResults.length === 0) {
+            await db.rollback();
+            return {
+                error: {
+                    statusCode: 404,
+                    body: JSON.stringify({ error: 'Post not found' })
+                }
+            };
+        }
+
+        // Someone else may have saved since the request's own version check
+        const { notes_path: currentNotesPath, updated_at: currentVersion } = postResults[0];
+        if (!ifMatchSatisfied(event, currentVersion)) {
+            await db.rollback();
+            return { error: preconditionFailed('Post', currentVersion) };
+        }
+
+        // Older posts get their pre-edit state recorded before anything is overwritten
+        await ensureBaselineRevision(db, postId, user.user_id);
+
+        const notesPath = notes === undefined ? currentNotesPath : uploadedNotesPath;
+        const [updated] = await db.execute(
+            `UPDATE posts
+             SET ${REVISION_FIELDS.map((field, index) => `${field} = $${index + 1}`).join(', ')},
+                 notes_path = $${REVISION_FIELDS.length + 1},
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $${REVISION_FIELDS.length + 2}
+             RETURNING updated_at`,
+            [...REVISION_FIELDS.map((field) => fields[field] ?? null), notesPath, postId]
+        );
+
+        const revision = await recordRevision(db, postId, user.user_id, {
+            fields,
+            notes: notes === undefined ? undefined : (notesPath ? notes : null),
+            restoredFrom
+        });
+
+        await db.commit();
+
+        previousNotesPath = notes === undefined ? null : currentNotesPath;
+        saved = { updatedAt: updated[0].updated_at, notesPath, revision };
+    } catch (error) {
+        if (db.connection.inTransaction) {
+            await db.rollback();
+        }
+        throw error;
+    } finally {
+        if (!saved) {
+            await removeNotesFile(db, uploadedNotesPath, postId);
+        }
+    }
+
+    await removeNotesFile(db, previousNotesPath, postId);
+    return saved;
+};
+
 // Handle Edit Post
 const handleEditPost = async (event, db, user) => {
-    const { uploadMarkdownToS3, deleteMarkdownFromS3 } = require('./s3-helper');
     const postId = event.pathParameters.id;
 
     console.log("EditPost handler called for postId:", postId);
@@ -451,7 +848,7 @@ const handleEditPost = async (event, db, user) => {
         };
     }
 
-    const [postResults] = await db.execute('SELECT owner_id, notes_path FROM posts WHERE id = $1', [postId]);
+    const [postResults] = await db.execute('SELECT owner_id, notes_path, video_id, video_platform, updated_at FROM posts WHERE id = $1 AND deleted_at IS NULL', [postId]);
     if (postResults.length === 0) {
         console.log(`Post with id ${postId} not found`);
         return {
@@ -469,18 +866,38 @@ const handleEditPost = async (event, db, user) => {
         };
     }
 
+    const currentVersion = postResults[0].updated_at;
+
     if (event.httpMethod === 'HEAD') {
         return {
-            statusCode: 200
+            statusCode: 200,
+            headers: { ETag: versionTag(currentVersion) }
         };
     }
 
     if (event.httpMethod === 'PUT') {
+        // Refuse edits made against an older version of the post
+        if (!ifMatchSatisfied(event, currentVersion)) {
+            return preconditionFailed('Post', currentVersion);
+        }
+
         const parsedBody = JSON.parse(event.body);
-        const { title, video_id, video_platform, movement_type, starting_position, ending_position, starting_top_bottom, ending_top_bottom, gi_nogi, practitioner, sequence_start_time, public_status, language, notes } = parsedBody;
+        let { title, video_id, video_platform, movement_type, starting_position, ending_position, starting_top_bottom, ending_top_bottom, gi_nogi, practitioner, sequence_start_time, public_status, language, notes, movement_type_id, starting_position_id, ending_position_id } = parsedBody;
 
-        // Validate required fields
-        if (!title || !video_id || !video_platform || !movement_type || !starting_position || !ending_position || !sequence_start_time || !public_status || !language) {
+        // The video may come as a link; either way a new one must be a supported one
+        const video = keepsStoredVideo(parsedBody, postResults[0])
+            ? { values: { video_id: postResults[0].video_id, video_platform: postResults[0].video_platform, sequence_start_time } }
+            : resolveVideoFields(parsedBody);
+        if (video.error) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: video.error })
+            };
+        }
+        ({ video_id, video_platform, sequence_start_time } = video.values);
+
+        // Validate required fields; taxonomy fields may be given as text or id
+        if (!title || !video_id || !video_platform || !(movement_type || movement_type_id) || !(starting_position || starting_position_id) || !(ending_position || ending_position_id) || !sequence_start_time || !public_status || !language) {
             return {
                 statusCode: 400,
                 body: JSON.stringify({ error: 'Required fields are missing to update the post' })
@@ -505,84 +922,43 @@ const handleEditPost = async (event, db, user) => {
         }
 
         try {
-            const existingNotesPath = postResults[0].notes_path;
-            let newNotesPath = existingNotesPath;
-
-            // If notes are provided and different, upload to S3 and update path
-            if (notes !== undefined) {
-                try {
-                    // Delete existing markdown file if it exists
-                    if (existingNotesPath) {
-                        try {
-                            await deleteMarkdownFromS3(existingNotesPath);
-                            console.log(`Deleted existing markdown file: ${existingNotesPath}`);
-                        } catch (deleteError) {
-                            console.error('Error deleting existing markdown:', deleteError);
-                        }
-                    }
-
-                    // Upload new markdown file if content is provided
-                    if (notes && notes.trim() !== '') {
-                        newNotesPath = await uploadMarkdownToS3(notes, postId, user.user_id);
-                        console.log(`Uploaded new markdown file: ${newNotesPath}`);
-                    } else {
-                        newNotesPath = null;
-                    }
-                } catch (s3Error) {
-                    console.error('Error handling markdown file:', s3Error);
-                    return {
-                        statusCode: 500,
-                        body: JSON.stringify({ error: 'Failed to update notes file' })
-                    };
-                }
+            // Map positions and movement type onto the taxonomy
+            const taxonomy = await resolvePostTaxonomy(db, { movement_type, movement_type_id, starting_position, starting_position_id, ending_position, ending_position_id, starting_top_bottom, ending_top_bottom });
+            if (taxonomy.error) {
+                return {
+                    statusCode: 400,
+                    body: JSON.stringify({ error: taxonomy.error })
+                };
+            }
+            ({ movement_type, movement_type_id, starting_position, starting_position_id, ending_position, ending_position_id, starting_top_bottom, ending_top_bottom } = taxonomy.values);
+
+            // Values outside the taxonomy still reuse the established spelling
+            const { values: canonical, suggestions } = await canonicalizePostFields(db, {
+                ...(movement_type_id ? {} : { movement_type }),
+                ...(starting_position_id ? {} : { starting_position }),
+                ...(ending_position_id ? {} : { ending_position }),
+                practitioner
+            }, user);
+            ({ movement_type = movement_type, starting_position = starting_position, ending_position = ending_position, practitioner } = canonical);
+
+            const saved = await savePostEdit(db, event, postId, user, {
+                fields: { title, video_id, video_platform, movement_type, movement_type_id, starting_position, starting_position_id, ending_position, ending_position_id, starting_top_bottom, ending_top_bottom, gi_nogi, practitioner, sequence_start_time, public_status, language },
+                notes
+            });
+            if (saved.error) {
+                return saved.error;
             }
-
-            // Proceed with updating the post
-            const updateQuery = `
-                UPDATE posts
-                SET
-                    title = $1,
-                    video_id = $2,
-                    video_platform = $3,
-                    movement_type = $4,
-                    starting_position = $5,
-                    ending_position = $6,
-                    starting_top_bottom = $7,
-                    ending_top_bottom = $8,
-                    gi_nogi = $9,
-                    practitioner = $10,
-                    sequence_start_time = $11,
-                    public_status = $12,
-                    language = $13,
-                    notes_path = $14
-                WHERE id = $15 AND owner_id = $16
-            `;
-
-            await db.execute(updateQuery, [
-                title,
-                video_id,
-                video_platform,
-                movement_type,
-                starting_position,
-                ending_position,
-                starting_top_bottom,
-                ending_top_bottom,
-                gi_nogi,
-                practitioner,
-                sequence_start_time,
-                public_status,
-                language,
-                newNotesPath,
-                postId,
-                user.user_id
-            ]);
 
             // Return success message
             return {
                 statusCode: 200,
+                headers: { ETag: versionTag(saved.updatedAt) },
                 body: JSON.stringify({
                     message: 'Post updated successfully',
-                    notes_path: newNotesPath
+                    notes_path: saved.notesPath,
+                    updated_at: saved.updatedAt,
+                    revision: saved.revision,
+                    ...(Object.keys(suggestions).length > 0 ? { suggestions } : {})
                 })
             };
 
@@ -596,9 +972,157 @@ const handleEditPost = async (event, db, user) => {
     }
 };
 
+// Handle Patch Post
+//
+// Only the fields present in the body change; the post they produce is
+// validated like a new post. Notes are rewritten only when `notes` is sent.
+const handlePatchPost = async (event, db, user) => {
+    const postId = event.pathParameters.id;
+
+    let patch;
+    try {
+        patch = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Request body must be valid JSON' })
+        };
+    }
+
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Request body must be a JSON object' })
+        };
+    }
+
+    const patchedFields = REVISION_FIELDS.filter((field) => patch[field] !== undefined);
+    if (patchedFields.length === 0 && patch.notes === undefined && patch.video_url === undefined) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `Nothing to update; send any of: ${[...REVISION_FIELDS, 'video_url', 'notes'].join(', ')}` })
+        };
+    }
+
+    if (patch.notes !== undefined && patch.notes !== null && typeof patch.notes !== 'string') {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'notes must be a string or null' })
+        };
+    }
+
+    try {
+        const [postResults] = await db.execute('SELECT * FROM posts WHERE id = $1 AND deleted_at IS NULL', [postId]);
+        if (postResults.length === 0) {
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Post not found' })
+            };
+        }
+
+        const current = postResults[0];
+        if (current.owner_id !== user.user_id) {
+            return {
+                statusCode: 403,
+                body: JSON.stringify({ error: 'User not authorized to edit this post' })
+            };
+        }
+
+        // Refuse edits made against an older version of the post
+        if (!ifMatchSatisfied(event, current.updated_at)) {
+            return preconditionFailed('Post', current.updated_at);
+        }
+
+        const merged = Object.fromEntries(REVISION_FIELDS.map((field) => [field, current[field]]));
+        patchedFields.forEach((field) => {
+            merged[field] = patch[field];
+        });
+
+        // Sending only the text or only the id of a taxonomy field replaces
+        // both, so a stale id can't override new text
+        TAXONOMY_FIELDS.forEach((field) => {
+            if (patch[field] !== undefined && patch[`${field}_id`] === undefined) {
+                merged[`${field}_id`] = null;
+            } else if (patch[`${field}_id`] !== undefined && patch[field] === undefined) {
+                merged[field] = null;
+            }
+        });
+
+        // A new video link replaces the video and, unless a time is sent
+        // too, the start time
+        if (patch.video_url) {
+            merged.video_url = patch.video_url;
+            if (patch.sequence_start_time === undefined) {
+                merged.sequence_start_time = null;
+            }
+        }
+
+        // Only a new video is checked, as for PUT
+        const keepsVideo = keepsStoredVideo(merged, current);
+        if (keepsVideo) {
+            merged.video_id = current.video_id;
+            merged.video_platform = current.video_platform;
+        }
+        const prepared = preparePostFields(merged, { checkVideo: !keepsVideo });
+        if (prepared.error) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: prepared.error })
+            };
+        }
+        const fields = prepared.values;
+
+        // Map positions and movement type onto the taxonomy
+        const taxonomy = await resolvePostTaxonomy(db, fields);
+        if (taxonomy.error) {
+            return {
+                statusCode: 400,
+                body: JSON.stringify({ error: taxonomy.error })
+            };
+        }
+        Object.assign(fields, taxonomy.values);
+
+        // Newly sent values outside the taxonomy still reuse the established spelling
+        const { values: canonical, suggestions } = await canonicalizePostFields(db, {
+            ...Object.fromEntries(TAXONOMY_FIELDS
+                .filter((field) => patch[field] !== undefined && !fields[`${field}_id`])
+                .map((field) => [field, fields[field]])),
+            ...(patch.practitioner !== undefined ? { practitioner: fields.practitioner } : {})
+        }, user);
+        Object.assign(fields, canonical);
+
+        const saved = await savePostEdit(db, event, postId, user, { fields, notes: patch.notes });
+        if (saved.error) {
+            return saved.error;
+        }
+
+        // Respond with the post as /viewpost shows it
+        const view = await handleViewPost({ ...event, httpMethod: 'GET', pathParameters: { id: postId } }, db, user);
+        if (view.statusCode !== 200) {
+            return view;
+        }
+
+        return {
+            statusCode: 200,
+            headers: view.headers,
+            body: JSON.stringify({
+                message: 'Post updated successfully',
+                post: JSON.parse(view.body),
+                revision: saved.revision,
+                ...(Object.keys(suggestions).length > 0 ? { suggestions } : {})
+            })
+        };
+    } catch (error) {
+        console.error('Error patching post:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to update the post', details: error.message })
+        };
+    }
+};
+
 // Handle Delete Post
 const handleDeletePost = async (event, db, user) => {
-    const { deleteMarkdownFromS3 } = require('./s3-helper');
     const postId = event.pathParameters.id;
 
     try {
@@ -615,7 +1139,7 @@ const handleDeletePost = async (event, db, user) => {
         const username = userResult[0].username;
 
         // Check if the post exists and if user is the owner
-        const [results] = await db.execute('SELECT owner_id, notes_path FROM posts WHERE id = $1', [postId]);
+        const [results] = await db.execute('SELECT owner_id FROM posts WHERE id = $1 AND deleted_at IS NULL', [postId]);
 
         if (results.length === 0) {
             return {
@@ -633,28 +1157,17 @@ const handleDeletePost = async (event, db, user) => {
             };
         }
 
-        // Get the notes path to delete the file from S3 if it exists
-        const notesPath = results[0].notes_path;
-
-        // If there is a markdown file, try to delete it
-        if (notesPath) {
-            try {
-                await deleteMarkdownFromS3(notesPath);
-                console.log(`Deleted markdown file: ${notesPath}`);
-            } catch (s3Error) {
-                console.error('Error deleting markdown file:', s3Error);
-                // Continue with post deletion even if S3 delete fails
-            }
-        }
-
-        // Proceed with deleting the post
-        const deleteQuery = 'DELETE FROM posts WHERE id = $1 AND owner_id = $2';
-        await db.execute(deleteQuery, [postId, user.user_id]);
+        // Move the post to the trash; its notes and game plan memberships
+        // are only removed when the trash is purged
+        await db.execute(
+            'UPDATE posts SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND owner_id = $2',
+            [postId, user.user_id]
+        );
 
         // Send a success message
         return {
             statusCode: 200,
-            body: JSON.stringify({ message: 'Post deleted successfully' })
+            body: JSON.stringify({ message: 'Post moved to trash' })
         };
 
     } catch (error) {
@@ -667,6 +1180,7 @@ const handleDeletePost = async (event, db, user) => {
 };
 
 const handleForkPost = async (event, db, user) => {
+    const { copyMarkdownInS3, getMarkdownFromS3, deleteMarkdownFromS3 } = require('./s3-helper');
     const { postId } = JSON.parse(event.body);
 
     if (!postId) {
@@ -676,11 +1190,12 @@ const handleForkPost = async (event, db, user) => {
         };
     }
 
+    let copiedNotesPath = null;
     try {
-        // Get original post data
+        // Get original post data; other users' private posts look missing
         const [post] = await db.execute(`SELECT * FROM posts WHERE id = $1`, [postId]);
 
-        if (post.length === 0) {
+        if (post.length === 0 || !canView(post[0], user)) {
             return {
                 statusCode: 404,
                 body: JSON.stringify({ error: 'Post not found' }),
@@ -689,28 +1204,73 @@ const handleForkPost = async (event, db, user) => {
 
         const newPostId = uuidv7();
 
+        // The fork gets its own copy of the notes, so later edits or deletion
+        // of the original don't reach it
+        if (post[0].notes_path) {
+            try {
+                copiedNotesPath = await copyMarkdownInS3(post[0].notes_path, newPostId, user.user_id);
+            } catch (s3Error) {
+                console.error('Error copying markdown for fork:', s3Error);
+                return {
+                    statusCode: 500,
+                    body: JSON.stringify({ error: 'Failed to copy notes' }),
+                };
+            }
+        }
+
+        // Revision 1 of the fork holds the notes it starts with
+        let notes = null;
+        if (copiedNotesPath) {
+            try {
+                notes = await getMarkdownFromS3(copiedNotesPath);
+            } catch (s3Error) {
+                // Keep the metadata history even if the notes can't be read
+                console.error('Error reading notes for fork revision:', s3Error);
+            }
+        }
+
+        await db.beginTransaction();
+
         // Insert a new post using the original data but under the current user
         await db.execute(
             `INSERT INTO posts (
                 id, title, video_id, video_platform, owner_id, movement_type, 
                 starting_position, ending_position, starting_top_bottom, ending_top_bottom, 
-                gi_nogi, practitioner, sequence_start_time, public_status, language, notes_path
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)`,
+                gi_nogi, practitioner, sequence_start_time, public_status, language, notes_path,
+                movement_type_id, starting_position_id, ending_position_id,
+                forked_from_post_id, forked_from_owner_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)`,
             [
                 newPostId, post[0].title, post[0].video_id, post[0].video_platform,
                 user.user_id, post[0].movement_type, post[0].starting_position,
                 post[0].ending_position, post[0].starting_top_bottom, post[0].ending_top_bottom,
                 post[0].gi_nogi, post[0].practitioner, post[0].sequence_start_time,
-                post[0].public_status, post[0].language, post[0].notes_path
+                post[0].public_status, post[0].language, copiedNotesPath,
+                post[0].movement_type_id, post[0].starting_position_id, post[0].ending_position_id,
+                post[0].id, post[0].owner_id
             ]
         );
+        await recordRevision(db, newPostId, user.user_id, { fields: post[0], notes });
+
+        await db.commit();
 
         return {
             statusCode: 201,
-            body: JSON.stringify({ message: 'Post forked successfully', newPostId }),
+            body: JSON.stringify({ message: 'Post forked successfully', newPostId, forked_from_post_id: post[0].id }),
         };
     } catch (error) {
+        if (db.connection.inTransaction) {
+            await db.rollback();
+        }
         console.error('Error forking post:', error);
+        // Don't leave the copied notes behind without a post pointing at them
+        if (copiedNotesPath) {
+            try {
+                await deleteMarkdownFromS3(copiedNotesPath);
+            } catch (s3Error) {
+                console.error('Error removing copied markdown:', s3Error);
+            }
+        }
         return {
             statusCode: 500,
             body: JSON.stringify({ error: 'Failed to fork post' }),
@@ -720,10 +1280,17 @@ const handleForkPost = async (event, db, user) => {
 
 
 module.exports = {
+    ALLOWED_LANGUAGES,
+    PUBLIC_STATUSES,
+    isNotesPathShared,
+    savePostEdit,
+    resolveNewPostFields,
+    insertPost,
     handleViewPost,
     handleSearchPosts,
     handleNewPost,
     handleEditPost,
+    handlePatchPost,
     handleDeletePost,
     handleForkPost,
   };
\ No newline at end of file
@@ -0,0 +1,298 @@
+const { savePostEdit } = require('./post-handlers');
+const { REVISION_FIELDS } = require('./post-revisions');
+
+// Notes longer than this many lines on either side are diffed as a whole
+// replacement, keeping the line diff's table within Lambda memory
+const MAX_DIFF_LINES = 2000;
+
+// Revision history is only for the post's owner
+const checkPostOwnership = async (db, postId, user) => {
+    const [postResults] = await db.execute('SELECT owner_id, notes_path FROM posts WHERE id = $1 AND deleted_at IS NULL', [postId]);
+    if (postResults.length === 0) {
+        return {
+            error: {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Post not found' })
+            }
+        };
+    }
+
+    if (postResults[0].owner_id !== user.user_id) {
+        return {
+            error: {
+                statusCode: 403,
+                body: JSON.stringify({ error: 'Only the post owner can view or restore revisions' })
+            }
+        };
+    }
+
+    return { post: postResults[0] };
+};
+
+const parseRevisionNumber = (value) => {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+const fetchRevision = async (db, postId, revisionNumber) => {
+    const [rows] = await db.execute(
+        `SELECT revision_number, fields, notes, restored_from, created_at
+         FROM post_revisions
+         WHERE post_id = $1 AND revision_number = $2`,
+        [postId, revisionNumber]
+    );
+    return rows[0] || null;
+};
+
+// Fields whose values differ between two revisions' field snapshots
+const diffFields = (fromFields, toFields) => REVISION_FIELDS
+    .filter((field) => (fromFields[field] ?? null) !== (toFields[field] ?? null))
+    .map((field) => ({ field, from: fromFields[field] ?? null, to: toFields[field] ?? null }));
+
+// Line diff of two texts from their longest common subsequence. Returns
+// [{ op: 'equal' | 'removed' | 'added', text, old_line, new_line }] with
+// 1-based line numbers on the side(s) the line exists on.
+const diffLines = (fromText, toText) => {
+    const oldLines = fromText ? fromText.split('\n') : [];
+    const newLines = toText ? toText.split('\n') : [];
+
+    if (oldLines.length > MAX_DIFF_LINES || newLines.length > MAX_DIFF_LINES) {
+        return [
+            ...oldLines.map((text, index) => ({ op: 'removed', text, old_line: index + 1, new_line: null })),
+            ...newLines.map((text, index) => ({ op: 'added', text, old_line: null, new_line: index + 1 })),
+        ];
+    }
+
+    // lengths[i][j]: LCS length of oldLines[i..] and newLines[j..]
+    const lengths = Array.from({ length: oldLines.length + 1 }, () => new Uint16Array(newLines.length + 1));
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+            lengths[i][j] = oldLines[i] === newLines[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length || j < newLines.length) {
+        if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+            lines.push({ op: 'equal', text: oldLines[i], old_line: i + 1, new_line: j + 1 });
+            i++;
+            j++;
+        } else if (j < newLines.length && (i === oldLines.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+            lines.push({ op: 'added', text: newLines[j], old_line: null, new_line: j + 1 });
+            j++;
+        } else {
+            lines.push({ op: 'removed', text: oldLines[i], old_line: i + 1, new_line: null });
+            i++;
+        }
+    }
+    return lines;
+};
+
+// Handle List Post Revisions
+const handleListPostRevisions = async (event, db, user) => {
+    const postId = event.pathParameters?.id;
+
+    try {
+        const { error } = await checkPostOwnership(db, postId, user);
+        if (error) {
+            return error;
+        }
+
+        const [rows] = await db.execute(
+            `SELECT revision_number, fields, notes, restored_from, created_at
+             FROM post_revisions
+             WHERE post_id = $1
+             ORDER BY revision_number`,
+            [postId]
+        );
+
+        // Summarize what each revision changed relative to the one before it
+        const revisions = rows.map((row, index) => {
+            const previous = index > 0 ? rows[index - 1] : null;
+            return {
+                revision_number: row.revision_number,
+                created_at: row.created_at,
+                restored_from: row.restored_from,
+                title: row.fields.title,
+                has_notes: row.notes !== null,
+                changed_fields: previous ? diffFields(previous.fields, row.fields).map((change) => change.field) : [],
+                notes_changed: previous ? previous.notes !== row.notes : false
+            };
+        }).reverse();
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                post_id: postId,
+                revisions,
+                count: revisions.length
+            })
+        };
+    } catch (error) {
+        console.error('Error listing post revisions:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to list revisions', details: error.message })
+        };
+    }
+};
+
+// Handle Get Post Revision
+const handleGetPostRevision = async (event, db, user) => {
+    const postId = event.pathParameters?.id;
+    const revisionNumber = parseRevisionNumber(event.pathParameters?.revision);
+    if (!revisionNumber) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Revision must be a positive integer' })
+        };
+    }
+
+    try {
+        const { error } = await checkPostOwnership(db, postId, user);
+        if (error) {
+            return error;
+        }
+
+        const revision = await fetchRevision(db, postId, revisionNumber);
+        if (!revision) {
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Revision not found' })
+            };
+        }
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ post_id: postId, ...revision })
+        };
+    } catch (error) {
+        console.error('Error fetching post revision:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to fetch revision', details: error.message })
+        };
+    }
+};
+
+// Handle Diff Post Revisions
+const handleDiffPostRevisions = async (event, db, user) => {
+    const postId = event.pathParameters?.id;
+    const { from = '', to = '' } = event.queryStringParameters || {};
+    const fromNumber = parseRevisionNumber(from);
+    const toNumber = parseRevisionNumber(to);
+    if (!fromNumber || !toNumber) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'from and to must be revision numbers' })
+        };
+    }
+
+    try {
+        const { error } = await checkPostOwnership(db, postId, user);
+        if (error) {
+            return error;
+        }
+
+        const fromRevision = await fetchRevision(db, postId, fromNumber);
+        const toRevision = await fetchRevision(db, postId, toNumber);
+        if (!fromRevision || !toRevision) {
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Revision not found' })
+            };
+        }
+
+        const notesLines = diffLines(fromRevision.notes, toRevision.notes);
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                post_id: postId,
+                from: fromNumber,
+                to: toNumber,
+                fields: diffFields(fromRevision.fields, toRevision.fields),
+                notes: {
+                    changed: fromRevision.notes !== toRevision.notes,
+                    added: notesLines.filter((line) => line.op === 'added').length,
+                    removed: notesLines.filter((line) => line.op === 'removed').length,
+                    lines: notesLines
+                }
+            })
+        };
+    } catch (error) {
+        console.error('Error diffing post revisions:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to diff revisions', details: error.message })
+        };
+    }
+};
+
+// Handle Restore Post Revision
+//
+// Restoring writes the old revision's fields and notes back to the post and
+// records the result as a new revision, so a restore can itself be undone.
+// It saves like an edit, so the notes are switched only when it commits.
+const handleRestorePostRevision = async (event, db, user) => {
+    const postId = event.pathParameters?.id;
+    const revisionNumber = parseRevisionNumber(event.pathParameters?.revision);
+    if (!revisionNumber) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Revision must be a positive integer' })
+        };
+    }
+
+    try {
+        const { error } = await checkPostOwnership(db, postId, user);
+        if (error) {
+            return error;
+        }
+
+        const revision = await fetchRevision(db, postId, revisionNumber);
+        if (!revision) {
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Revision not found' })
+            };
+        }
+
+        const saved = await savePostEdit(db, event, postId, user, {
+            fields: revision.fields,
+            notes: revision.notes ?? null,
+            restoredFrom: revisionNumber
+        });
+        if (saved.error) {
+            return saved.error;
+        }
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                message: 'Revision restored',
+                post_id: postId,
+                restored_from: revisionNumber,
+                revision: saved.revision,
+                notes_path: saved.notesPath
+            })
+        };
+    } catch (error) {
+        console.error('Error restoring post revision:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to restore revision', details: error.message })
+        };
+    }
+};
+
+module.exports = {
+    handleListPostRevisions,
+    handleGetPostRevision,
+    handleDiffPostRevisions,
+    handleRestorePostRevision,
+};
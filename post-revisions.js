@@ -0,0 +1,96 @@
+// Post revision history (see migrations/006_post_revisions.sql).
+//
+// A revision is the state of a post after a save: its metadata columns plus
+// the notes content. Revision 1 is the post as created, or, for posts older
+// than revision history, as it was right before its first tracked edit.
+
+// Post columns stored with each revision
+const REVISION_FIELDS = [
+    'title',
+    'video_id',
+    'video_platform',
+    'movement_type',
+    'movement_type_id',
+    'starting_position',
+    'starting_position_id',
+    'ending_position',
+    'ending_position_id',
+    'starting_top_bottom',
+    'ending_top_bottom',
+    'gi_nogi',
+    'practitioner',
+    'sequence_start_time',
+    'public_status',
+    'language',
+];
+
+const snapshotFields = (values) =>
+    Object.fromEntries(REVISION_FIELDS.map((field) => [field, values[field] ?? null]));
+
+const latestRevision = async (db, postId) => {
+    const [rows] = await db.execute(
+        'SELECT revision_number, notes FROM post_revisions WHERE post_id = $1 ORDER BY revision_number DESC LIMIT 1',
+        [postId]
+    );
+    return rows[0] || null;
+};
+
+// Store a new revision. `notes` is the full notes content, null for none, or
+// undefined when the save left the notes alone. Returns the revision number.
+//
+// Call it inside the save's transaction with the post row locked FOR UPDATE:
+// the number is taken in the INSERT, and the lock queues concurrent saves so
+// they can't take the same one.
+const recordRevision = async (db, postId, userId, { fields, notes, restoredFrom = null }) => {
+    let revisionNotes = notes;
+    if (revisionNotes === undefined) {
+        const previous = await latestRevision(db, postId);
+        revisionNotes = previous ? previous.notes : null;
+    }
+
+    const [rows] = await db.execute(
+        `INSERT INTO post_revisions (post_id, revision_number, created_by, fields, notes, restored_from)
+         SELECT $1::uuid, COALESCE(MAX(revision_number), 0) + 1, $2::uuid, $3::jsonb, $4::text, $5::integer
+         FROM post_revisions
+         WHERE post_id = $1::uuid
+         RETURNING revision_number`,
+        [postId, userId, JSON.stringify(snapshotFields(fields)), revisionNotes, restoredFrom]
+    );
+
+    return rows[0].revision_number;
+};
+
+// Before the first tracked edit of an older post, record how it looked so
+// the edit can be undone. The notes are read back from S3 for this.
+const ensureBaselineRevision = async (db, postId, userId) => {
+    if (await latestRevision(db, postId)) {
+        return;
+    }
+
+    const [rows] = await db.execute(
+        `SELECT ${REVISION_FIELDS.join(', ')}, notes_path FROM posts WHERE id = $1`,
+        [postId]
+    );
+    if (rows.length === 0) {
+        return;
+    }
+
+    let notes = null;
+    if (rows[0].notes_path) {
+        const { getMarkdownFromS3 } = require('./s3-helper');
+        try {
+            notes = await getMarkdownFromS3(rows[0].notes_path);
+        } catch (s3Error) {
+            // Keep the metadata history even if the old notes can't be read
+            console.error('Error reading notes for baseline revision:', s3Error);
+        }
+    }
+
+    await recordRevision(db, postId, userId, { fields: rows[0], notes });
+};
+
+module.exports = {
+    REVISION_FIELDS,
+    recordRevision,
+    ensureBaselineRevision,
+};
@@ -1,6 +1,6 @@
 const { generateAccessToken, generateRefreshToken } = require('./auth');
 
-const handleViewProfile = async (event, db) => {
+const handleViewProfile = async (event, db, user) => {
     console.log("View profile handler called with parameters:", JSON.stringify(event.pathParameters));
     const { username } = event.pathParameters; // Extract username from URL path
 
@@ -26,7 +26,10 @@ const handleViewProfile = async (event, db) => {
 
         // Don't log the entire profile data as it might contain sensitive information
         console.log(`Profile found for ${username}, returning data`);
-        return { statusCode: 200, body: JSON.stringify(results[0]) };
+        const profile = results[0];
+        profile.is_owner = Boolean(user && user.user_id === profile.user_id);
+
+        return { statusCode: 200, body: JSON.stringify(profile) };
     } catch (error) {
         console.error('Error retrieving profile:', error);
         console.error('Error details:', {
@@ -0,0 +1,106 @@
+// Route access levels
+//  - public:   no token needed, handler receives no user
+//  - optional: a token is checked when present, handler may receive a user
+//  - required: a valid token is mandatory, requests without one get a 401
+const AUTH_PUBLIC = 'public';
+const AUTH_OPTIONAL = 'optional';
+const AUTH_REQUIRED = 'required';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Turn a pattern like '/gameplans/:id/posts/:postId' into a regex plus the
+// ordered list of parameter names it captures
+const compilePattern = (pattern) => {
+  const keys = [];
+  const source = pattern
+    .split('/')
+    .map((segment) => {
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return escapeRegex(segment);
+    })
+    .join('/');
+
+  return { regex: new RegExp(`^${source}$`), keys };
+};
+
+// Build a router from a list of { method, path, handler, auth } entries.
+// Routes are matched in the order they are declared.
+const createRouter = (routes) => {
+  const compiledRoutes = routes.map((route) => {
+    if (![AUTH_PUBLIC, AUTH_OPTIONAL, AUTH_REQUIRED].includes(route.auth)) {
+      throw new Error(`Route ${route.method} ${route.path} has invalid auth mode: ${route.auth}`);
+    }
+    return { ...route, ...compilePattern(route.path) };
+  });
+
+  // Returns { route, params } on a match, { allowedMethods } when the path
+  // exists but not for this method, or null when no route has this path
+  const match = (method, path) => {
+    const allowedMethods = [];
+
+    for (const route of compiledRoutes) {
+      const result = route.regex.exec(path);
+      if (!result) continue;
+
+      if (route.method !== method) {
+        if (!allowedMethods.includes(route.method)) {
+          allowedMethods.push(route.method);
+        }
+        continue;
+      }
+
+      const params = {};
+      route.keys.forEach((key, index) => {
+        try {
+          params[key] = decodeURIComponent(result[index + 1]);
+        } catch (error) {
+          params[key] = result[index + 1];
+        }
+      });
+
+      return { route, params };
+    }
+
+    return allowedMethods.length > 0 ? { allowedMethods } : null;
+  };
+
+  return { routes: compiledRoutes, match };
+};
+
+// Normalize REST API (v1), HTTP API / function URL (v2) and hand-built local
+// events into the v1 shape the handlers expect
+const normalizeEvent = (event) => {
+  const httpMethod = (event.httpMethod || event.requestContext?.http?.method || 'GET').toUpperCase();
+
+  let path = event.path || event.rawPath || '/';
+  if (path.length > 1) {
+    path = path.replace(/\/+$/, '') || '/';
+  }
+
+  let body = event.body ?? null;
+  if (body && event.isBase64Encoded) {
+    body = Buffer.from(body, 'base64').toString('utf8');
+  }
+
+  return {
+    ...event,
+    httpMethod,
+    path,
+    body,
+    isBase64Encoded: false,
+    headers: event.headers || {},
+    queryStringParameters: event.queryStringParameters || {},
+    pathParameters: event.pathParameters || {},
+  };
+};
+
+module.exports = {
+  AUTH_PUBLIC,
+  AUTH_OPTIONAL,
+  AUTH_REQUIRED,
+  createRouter,
+  normalizeEvent,
+};
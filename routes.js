@@ -0,0 +1,192 @@
+const { AUTH_PUBLIC, AUTH_OPTIONAL, AUTH_REQUIRED } = require('./router');
+
+const {
+  handleProxyImage,
+} = require('./image-handlers');
+
+const {
+  handleViewPost,
+  handleSearchPosts,
+  handleNewPost,
+  handleEditPost,
+  handlePatchPost,
+  handleDeletePost,
+  handleForkPost,
+} = require('./post-handlers');
+
+const {
+  handleBulkPostOperation,
+} = require('./bulk-post-handlers');
+
+const {
+  handleImportPosts,
+} = require('./import-handlers');
+
+const {
+  handleListPostRevisions,
+  handleGetPostRevision,
+  handleDiffPostRevisions,
+  handleRestorePostRevision,
+} = require('./post-revision-handlers');
+
+const {
+  handleViewProfile,
+  handleEditProfile,
+} = require('./profiles-handlers');
+
+const {
+  handleSignup,
+  handleSignin,
+  handleVerifyEmail,
+  handleResendVerification,
+  handleForgotPassword,
+  handleResetPassword,
+  handleRefreshToken,
+  handleGoogleSignin,
+} = require('./auth-handlers');
+
+const {
+  handleYouTubeAuthUrl,
+  handleYouTubeAuthCallback,
+  handleYouTubeTokenCheck,
+  handleYouTubeUploadInit,
+} = require('./youtube-handlers');
+
+const { handleUploadAvatar
+} = require('./handle_upload_avatar');
+
+const {
+  handleUnifiedSearch,
+} = require('./search-handlers');
+
+const {
+  handleCreateGamePlanSection,
+  handleUpdateGamePlanSection,
+  handleDeleteGamePlanSection,
+  handleReorderGamePlan,
+  handleMoveGamePlanPost,
+  handleUpdateGamePlanEntry,
+} = require('./game-plan-section-handlers');
+
+const {
+  handleFindTechniqueChains,
+} = require('./chain-handlers');
+
+const {
+  handleAutocomplete,
+} = require('./autocomplete-handlers');
+
+const {
+  handleNewGamePlan,
+  handleSearchGamePlans,
+  handleViewGamePlan,
+  handleListGamePlansWithStatus,
+  handleUpdateGamePlans,
+  handleEditGamePlan,
+  handleDeleteGamePlan,
+  handleAddPostToGamePlan,
+  handleRemovePostFromGamePlan,
+  handleGetPostsByTransition,
+  handleGetGamePlanGraph,
+  handleForkGamePlan,
+  handleGetGamePlanCoverage,
+} = require('./game-plan-handlers');
+
+const {
+  handleGetAllPositions,
+  handleGetMovementTypes,
+} = require('./taxonomy-handlers');
+
+const {
+  handleListTrash,
+  handleRestorePost,
+  handleRestoreGamePlan,
+} = require('./trash-handlers');
+
+// Every route the Lambda serves. Path segments starting with ':' are copied
+// into event.pathParameters before the handler runs.
+// Handlers are called as handler(event, db, user); user is null on public
+// routes and on optional-auth routes when no Bearer token was sent.
+const routes = [
+  // Auth routes
+  { method: 'POST', path: '/signup', auth: AUTH_PUBLIC, handler: handleSignup },
+  { method: 'POST', path: '/signin', auth: AUTH_PUBLIC, handler: handleSignin },
+  { method: 'POST', path: '/google-signin', auth: AUTH_PUBLIC, handler: handleGoogleSignin },
+  { method: 'GET', path: '/verify-email', auth: AUTH_PUBLIC, handler: handleVerifyEmail },
+  { method: 'POST', path: '/resend-verification', auth: AUTH_PUBLIC, handler: handleResendVerification },
+  { method: 'POST', path: '/forgot-password', auth: AUTH_PUBLIC, handler: handleForgotPassword },
+  { method: 'POST', path: '/reset-password', auth: AUTH_PUBLIC, handler: handleResetPassword },
+  { method: 'POST', path: '/refresh-token', auth: AUTH_PUBLIC, handler: handleRefreshToken },
+
+  // Profiles
+  { method: 'GET', path: '/viewprofile/:username', auth: AUTH_OPTIONAL, handler: handleViewProfile },
+  { method: 'PUT', path: '/editprofile/:user_id', auth: AUTH_REQUIRED, handler: handleEditProfile },
+
+  // Posts
+  { method: 'GET', path: '/viewpost/:id', auth: AUTH_OPTIONAL, handler: handleViewPost },
+  { method: 'GET', path: '/search-posts', auth: AUTH_OPTIONAL, handler: handleSearchPosts },
+  { method: 'POST', path: '/newpost', auth: AUTH_REQUIRED, handler: handleNewPost },
+  { method: 'PUT', path: '/editpost/:id', auth: AUTH_REQUIRED, handler: handleEditPost },
+  { method: 'HEAD', path: '/editpost/:id', auth: AUTH_REQUIRED, handler: handleEditPost },
+  { method: 'PATCH', path: '/editpost/:id', auth: AUTH_REQUIRED, handler: handlePatchPost },
+  { method: 'DELETE', path: '/deletepost/:id', auth: AUTH_REQUIRED, handler: handleDeletePost },
+  { method: 'POST', path: '/fork-post', auth: AUTH_REQUIRED, handler: handleForkPost },
+  { method: 'POST', path: '/posts/bulk', auth: AUTH_REQUIRED, handler: handleBulkPostOperation },
+  { method: 'POST', path: '/posts/import', auth: AUTH_REQUIRED, handler: handleImportPosts },
+
+  // Post revision history (diff is declared before :revision so it isn't read as one)
+  { method: 'GET', path: '/posts/:id/revisions', auth: AUTH_REQUIRED, handler: handleListPostRevisions },
+  { method: 'GET', path: '/posts/:id/revisions/diff', auth: AUTH_REQUIRED, handler: handleDiffPostRevisions },
+  { method: 'GET', path: '/posts/:id/revisions/:revision', auth: AUTH_REQUIRED, handler: handleGetPostRevision },
+  { method: 'POST', path: '/posts/:id/revisions/:revision/restore', auth: AUTH_REQUIRED, handler: handleRestorePostRevision },
+
+  // Game Plans
+  { method: 'GET', path: '/search-gameplans', auth: AUTH_OPTIONAL, handler: handleSearchGamePlans },
+  { method: 'GET', path: '/view-gameplan/:id', auth: AUTH_OPTIONAL, handler: handleViewGamePlan },
+  { method: 'POST', path: '/new-gameplan', auth: AUTH_REQUIRED, handler: handleNewGamePlan },
+  { method: 'GET', path: '/list-gameplans/:id', auth: AUTH_REQUIRED, handler: handleListGamePlansWithStatus },
+  { method: 'POST', path: '/update-gameplans/:id', auth: AUTH_REQUIRED, handler: handleUpdateGamePlans },
+  { method: 'PUT', path: '/edit-gameplan/:id', auth: AUTH_REQUIRED, handler: handleEditGamePlan },
+  { method: 'HEAD', path: '/edit-gameplan/:id', auth: AUTH_REQUIRED, handler: handleEditGamePlan },
+  { method: 'POST', path: '/fork-gameplan', auth: AUTH_REQUIRED, handler: handleForkGamePlan },
+  { method: 'DELETE', path: '/gameplans/:id', auth: AUTH_REQUIRED, handler: handleDeleteGamePlan },
+  { method: 'POST', path: '/gameplans/:id', auth: AUTH_REQUIRED, handler: handleAddPostToGamePlan },
+  { method: 'DELETE', path: '/gameplans/:id/posts/:postId', auth: AUTH_REQUIRED, handler: handleRemovePostFromGamePlan },
+  { method: 'PUT', path: '/gameplans/:id/posts/:postId', auth: AUTH_REQUIRED, handler: handleUpdateGamePlanEntry },
+  { method: 'POST', path: '/gameplans/:id/posts/:postId/move', auth: AUTH_REQUIRED, handler: handleMoveGamePlanPost },
+  { method: 'PUT', path: '/gameplans/:id/order', auth: AUTH_REQUIRED, handler: handleReorderGamePlan },
+  { method: 'POST', path: '/gameplans/:id/sections', auth: AUTH_REQUIRED, handler: handleCreateGamePlanSection },
+  { method: 'PUT', path: '/gameplans/:id/sections/:sectionId', auth: AUTH_REQUIRED, handler: handleUpdateGamePlanSection },
+  { method: 'DELETE', path: '/gameplans/:id/sections/:sectionId', auth: AUTH_REQUIRED, handler: handleDeleteGamePlanSection },
+  { method: 'GET', path: '/gameplans/:id/transitions', auth: AUTH_REQUIRED, handler: handleGetPostsByTransition },
+  { method: 'GET', path: '/gameplans/:id/graph', auth: AUTH_OPTIONAL, handler: handleGetGamePlanGraph },
+  { method: 'GET', path: '/gameplans/:id/coverage', auth: AUTH_OPTIONAL, handler: handleGetGamePlanCoverage },
+  { method: 'GET', path: '/technique-chains', auth: AUTH_OPTIONAL, handler: handleFindTechniqueChains },
+
+  // Trash (deleted posts and game plans, until purged)
+  { method: 'GET', path: '/trash', auth: AUTH_REQUIRED, handler: handleListTrash },
+  { method: 'POST', path: '/trash/posts/:id/restore', auth: AUTH_REQUIRED, handler: handleRestorePost },
+  { method: 'POST', path: '/trash/gameplans/:id/restore', auth: AUTH_REQUIRED, handler: handleRestoreGamePlan },
+
+  // Taxonomy
+  { method: 'GET', path: '/positions', auth: AUTH_PUBLIC, handler: handleGetAllPositions },
+  { method: 'GET', path: '/movement-types', auth: AUTH_PUBLIC, handler: handleGetMovementTypes },
+
+  // Search across posts, game plans and profiles
+  { method: 'GET', path: '/search', auth: AUTH_OPTIONAL, handler: handleUnifiedSearch },
+  { method: 'GET', path: '/autocomplete', auth: AUTH_OPTIONAL, handler: handleAutocomplete },
+
+  // Proxy Image
+  { method: 'GET', path: '/proxy-image', auth: AUTH_PUBLIC, handler: handleProxyImage },
+
+  // Avatar
+  { method: 'POST', path: '/avatar', auth: AUTH_REQUIRED, handler: handleUploadAvatar },
+
+  // YouTube OAuth
+  { method: 'GET', path: '/auth/youtube/callback', auth: AUTH_PUBLIC, handler: handleYouTubeAuthCallback },
+  { method: 'GET', path: '/youtube/auth', auth: AUTH_REQUIRED, handler: handleYouTubeAuthUrl },
+  { method: 'GET', path: '/youtube/token-check', auth: AUTH_REQUIRED, handler: handleYouTubeTokenCheck },
+  { method: 'POST', path: '/youtube/upload/init', auth: AUTH_REQUIRED, handler: handleYouTubeUploadInit },
+];
+
+module.exports = { routes };
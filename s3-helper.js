@@ -2,7 +2,8 @@ const {
   S3Client, 
   PutObjectCommand, 
   GetObjectCommand, 
-  DeleteObjectCommand
+  DeleteObjectCommand,
+  CopyObjectCommand
 } = require('@aws-sdk/client-s3');
 
 // Initialize S3 client
@@ -11,8 +12,10 @@ const s3Client = new S3Client();
 // Bucket name for markdown notes
 const MARKDOWN_BUCKET = process.env.MARKDOWN_BUCKET || 'qj-markdown-notes';
 
-// Upload markdown content to S3
-const uploadMarkdownToS3 = async (content, postId, ownerId) => {
+// Upload markdown content to S3. Without `version` the file goes to the
+// post's own key; edits pass one so the new file gets a key of its own and
+// the live file stays in place until the post points at the new one.
+const uploadMarkdownToS3 = async (content, postId, ownerId, version = null) => {
   if (!content) {
     throw new Error('No content provided for upload');
   }
@@ -20,7 +23,9 @@ const uploadMarkdownToS3 = async (content, postId, ownerId) => {
   try {
     // Create a unique file path with owner ID and post ID
     // Using user ID instead of username for stability when username changes
-    const key = `posts/user_${ownerId}/${postId}.md`;
+    const key = version
+      ? `posts/user_${ownerId}/${postId}-${version}.md`
+      : `posts/user_${ownerId}/${postId}.md`;
 
     // Upload the markdown file to S3
     const command = new PutObjectCommand({
@@ -41,6 +46,53 @@ const uploadMarkdownToS3 = async (content, postId, ownerId) => {
   }
 };
 
+// Copy an existing markdown file to the key a post owned by ownerId would use
+const copyMarkdownInS3 = async (sourceKey, postId, ownerId) => {
+  if (!sourceKey) {
+    throw new Error('No source file key provided for copy');
+  }
+
+  try {
+    const key = `posts/user_${ownerId}/${postId}.md`;
+
+    const command = new CopyObjectCommand({
+      Bucket: MARKDOWN_BUCKET,
+      CopySource: `${MARKDOWN_BUCKET}/${encodeURIComponent(sourceKey).replace(/%2F/g, '/')}`,
+      Key: key,
+      ContentType: 'text/markdown',
+      CacheControl: 'max-age=86400',
+      MetadataDirective: 'REPLACE'
+    });
+
+    await s3Client.send(command);
+
+    return key;
+  } catch (error) {
+    console.error('Error copying markdown in S3:', error);
+    throw new Error(`Failed to copy markdown: ${error.message}`);
+  }
+};
+
+// Read the content of a markdown file
+const getMarkdownFromS3 = async (key) => {
+  if (!key) {
+    throw new Error('No file key provided');
+  }
+
+  try {
+    const command = new GetObjectCommand({
+      Bucket: MARKDOWN_BUCKET,
+      Key: key
+    });
+
+    const response = await s3Client.send(command);
+    return await response.Body.transformToString('utf-8');
+  } catch (error) {
+    console.error('Error reading markdown from S3:', error);
+    throw new Error(`Failed to read markdown: ${error.message}`);
+  }
+};
+
 // Get a pre-signed URL for a markdown file (for limited-time access)
 const getMarkdownUrl = async (key) => {
   if (!key) {
@@ -79,6 +131,8 @@ const deleteMarkdownFromS3 = async (key) => {
 
 module.exports = {
   uploadMarkdownToS3,
+  copyMarkdownInS3,
+  getMarkdownFromS3,
   getMarkdownUrl,
   deleteMarkdownFromS3
 };
\ No newline at end of file
@@ -0,0 +1,172 @@
+const { getViewerId, visibilityCondition } = require('./visibility');
+const { parseLimit } = require('./pagination');
+const { resolveSearchMode, isValidSearchLanguage, buildPostSearch, escapeLikePattern } = require('./text-search');
+
+const SEARCH_TYPES = ['posts', 'gameplans', 'profiles'];
+const DEFAULT_RESULTS_PER_TYPE = 5;
+const MAX_RESULTS_PER_TYPE = 20;
+
+const searchPosts = async (db, search, searchMode, viewerId, limit) => {
+    const postSearch = buildPostSearch('p', search, searchMode, 1);
+    const viewerParam = postSearch.params.length + 1;
+
+    const [rows] = await db.execute(`
+        SELECT
+            'post' AS type,
+            p.id, p.title, p.video_id, p.video_platform, p.movement_type,
+            p.starting_position, p.ending_position, p.gi_nogi, p.language,
+            p.public_status, p.created_at,
+            pr.username, pr.avatar_url,
+            ${postSearch.rankExpr}::float AS score
+        FROM posts p
+        JOIN profiles pr ON p.owner_id = pr.user_id
+        WHERE ${postSearch.condition}
+          AND ${visibilityCondition('p', viewerParam)}
+        ORDER BY score DESC, p.created_at DESC, p.id DESC
+        LIMIT ${limit}
+    `, [...postSearch.params, viewerId]);
+
+    return rows;
+};
+
+const searchGamePlans = async (db, search, viewerId, limit) => {
+    const pattern = `%${escapeLikePattern(search)}%`;
+
+    // Name matches rank above description-only matches
+    const [rows] = await db.execute(`
+        SELECT
+            'gameplan' AS type,
+            g.id, g.name, g.description, g.language, g.public_status, g.created_at,
+            pr.username AS owner_name, pr.avatar_url,
+            (CASE WHEN g.name ILIKE $1 THEN 2 ELSE 0 END +
+             CASE WHEN g.description ILIKE $1 THEN 1 ELSE 0 END)::float AS score,
+            (SELECT COUNT(*) FROM game_plan_posts gpp JOIN posts cp ON cp.id = gpp.post_id WHERE gpp.game_plan_id = g.id AND cp.deleted_at IS NULL) AS post_count
+        FROM game_plans g
+        JOIN profiles pr ON g.owner_id = pr.user_id
+        WHERE (g.name ILIKE $1 OR g.description ILIKE $1)
+          AND ${visibilityCondition('g', 2)}
+        ORDER BY score DESC, g.created_at DESC, g.id DESC
+        LIMIT ${limit}
+    `, [pattern, viewerId]);
+
+    return rows;
+};
+
+const searchProfiles = async (db, search, limit) => {
+    const containsPattern = `%${escapeLikePattern(search)}%`;
+    const prefixPattern = `${escapeLikePattern(search)}%`;
+
+    // Exact username > username prefix > name or academy match
+    const [rows] = await db.execute(`
+        SELECT
+            'profile' AS type,
+            pr.user_id, pr.username, pr.name, pr.academy, pr.belt, pr.avatar_url,
+            (CASE
+                WHEN lower(pr.username) = lower($3) THEN 3
+                WHEN pr.username ILIKE $2 THEN 2
+                WHEN pr.username ILIKE $1 THEN 1.5
+                ELSE 1
+            END)::float AS score
+        FROM profiles pr
+        WHERE pr.username ILIKE $1 OR pr.name ILIKE $1 OR pr.academy ILIKE $1
+        ORDER BY score DESC, pr.username ASC
+        LIMIT ${limit}
+    `, [containsPattern, prefixPattern, search]);
+
+    return rows;
+};
+
+// Handle Unified Search
+//
+// Results are grouped by type, not ranked together: each list is ordered by
+// its own `score`, and the scales differ (text-search rank for posts, match
+// weights for game plans and profiles), so scores can't be compared across
+// types.
+const handleUnifiedSearch = async (event, db, user) => {
+    const {
+        q = '',
+        types = SEARCH_TYPES.join(','),
+        limit = '',
+        postsLimit = '',
+        gamePlansLimit = '',
+        profilesLimit = '',
+        searchLanguage = '',
+    } = event.queryStringParameters || {};
+
+    const search = q.trim();
+    console.log("Unified search called with parameters:", { q: search, types, limit, searchLanguage });
+
+    if (!search) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'Search query (q) is required' })
+        };
+    }
+
+    const requestedTypes = types.split(',').map((type) => type.trim()).filter(Boolean);
+    const unknownTypes = requestedTypes.filter((type) => !SEARCH_TYPES.includes(type));
+    if (requestedTypes.length === 0 || unknownTypes.length > 0) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `types must be a comma-separated list of: ${SEARCH_TYPES.join(', ')}` })
+        };
+    }
+
+    if (!isValidSearchLanguage(searchLanguage)) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: 'searchLanguage must be one of: English, Japanese, Traditional Chinese, all' })
+        };
+    }
+
+    // A per-type limit overrides the shared one
+    const sharedLimit = parseLimit(limit, DEFAULT_RESULTS_PER_TYPE, MAX_RESULTS_PER_TYPE);
+    const limits = {
+        posts: parseLimit(postsLimit, sharedLimit, MAX_RESULTS_PER_TYPE),
+        gameplans: parseLimit(gamePlansLimit, sharedLimit, MAX_RESULTS_PER_TYPE),
+        profiles: parseLimit(profilesLimit, sharedLimit, MAX_RESULTS_PER_TYPE),
+    };
+
+    const viewerId = getViewerId(user);
+    const searchMode = resolveSearchMode(search, { searchLanguage });
+
+    try {
+        const results = {};
+
+        // Run one after another: the Lambda pool holds a single connection
+        if (requestedTypes.includes('posts')) {
+            results.posts = await searchPosts(db, search, searchMode, viewerId, limits.posts);
+        }
+        if (requestedTypes.includes('gameplans')) {
+            results.game_plans = await searchGamePlans(db, search, viewerId, limits.gameplans);
+        }
+        if (requestedTypes.includes('profiles')) {
+            results.profiles = await searchProfiles(db, search, limits.profiles);
+        }
+
+        const counts = Object.fromEntries(Object.entries(results).map(([type, rows]) => [type, rows.length]));
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                query: search,
+                search_mode: searchMode,
+                results,
+                counts
+            })
+        };
+    } catch (error) {
+        console.error("Error executing unified search:", error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                error: "Failed to search",
+                details: process.env.NODE_ENV === "development" ? error.message : undefined
+            })
+        };
+    }
+};
+
+module.exports = {
+    handleUnifiedSearch,
+};
@@ -0,0 +1,254 @@
+// Position and movement-type taxonomy (see migrations/002_taxonomy.sql).
+//
+// Posts store both the free-text value and, when it can be resolved, the id
+// of the matching taxonomy entry. The taxonomy isn't enforced: text matching
+// no entry is kept as written with a NULL id, while matched text is stored as
+// the entry's English label (see migrations/008_taxonomy_labels.sql for older
+// posts). Labels are served in English, Japanese and Traditional Chinese,
+// keyed by the same language names posts use.
+
+const DEFAULT_POSITION_ID = 'not-specified';
+const DEFAULT_MOVEMENT_TYPE_ID = 'general';
+
+const TOP_BOTTOM_VALUES = ['TOP', 'BOTTOM', 'NEUTRAL'];
+const DEFAULT_TOP_BOTTOM = 'NEUTRAL';
+
+const LABEL_COLUMNS = {
+    'English': 'label_en',
+    'Japanese': 'label_ja',
+    'Traditional Chinese': 'label_zh_tw',
+};
+
+// The taxonomy changes only through migrations, so warm Lambdas keep a copy
+const TAXONOMY_CACHE_MS = 5 * 60 * 1000;
+let cachedTaxonomy = null;
+let cachedAt = 0;
+
+const normalizeLabel = (text) => text.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const toEntry = (row) => ({
+    id: row.id,
+    ...(row.parent_id !== undefined ? { parent_id: row.parent_id } : {}),
+    labels: Object.fromEntries(Object.entries(LABEL_COLUMNS).map(([language, column]) => [language, row[column]])),
+    aliases: row.aliases || [],
+    sort_order: row.sort_order,
+});
+
+// Index entries by id and by every normalized label and alias
+const indexEntries = (entries) => {
+    const byId = new Map();
+    const byLabel = new Map();
+    entries.forEach((entry) => {
+        byId.set(entry.id, entry);
+        [...Object.values(entry.labels), ...entry.aliases].forEach((label) => {
+            if (label && !byLabel.has(normalizeLabel(label))) {
+                byLabel.set(normalizeLabel(label), entry);
+            }
+        });
+    });
+    return { entries, byId, byLabel };
+};
+
+const loadTaxonomy = async (db) => {
+    if (cachedTaxonomy && Date.now() - cachedAt < TAXONOMY_CACHE_MS) {
+        return cachedTaxonomy;
+    }
+
+    const [positionRows] = await db.execute(
+        'SELECT id, parent_id, label_en, label_ja, label_zh_tw, aliases, sort_order FROM positions ORDER BY sort_order, id'
+    );
+    const [movementTypeRows] = await db.execute(
+        'SELECT id, label_en, label_ja, label_zh_tw, aliases, sort_order FROM movement_types ORDER BY sort_order, id'
+    );
+
+    cachedTaxonomy = {
+        positions: indexEntries(positionRows.map(toEntry)),
+        movementTypes: indexEntries(movementTypeRows.map(toEntry)),
+    };
+    cachedAt = Date.now();
+    return cachedTaxonomy;
+};
+
+// Resolve one text/id pair against a taxonomy index. An explicit id must
+// exist; free text is matched by label or alias, and kept as free text with
+// a null id when nothing matches; with neither the default entry is used.
+// Matched values take the entry's English label as their text.
+const resolveField = (index, text, id, defaultId, fieldName) => {
+    if (id) {
+        const entry = index.byId.get(id);
+        if (!entry) {
+            return { error: `Unknown ${fieldName}_id: ${id}` };
+        }
+        return { id: entry.id, text: entry.labels.English };
+    }
+
+    if (typeof text === 'string' && text.trim() !== '') {
+        const entry = index.byLabel.get(normalizeLabel(text));
+        return entry ? { id: entry.id, text: entry.labels.English } : { id: null, text: text.trim() };
+    }
+
+    const fallback = index.byId.get(defaultId);
+    return { id: fallback ? fallback.id : null, text: fallback ? fallback.labels.English : null };
+};
+
+// Resolve the taxonomy-backed fields of a post body. Returns { values } with
+// text and id for each field plus normalized top/bottom values, or { error }.
+const resolvePostTaxonomy = async (db, fields) => {
+    const taxonomy = await loadTaxonomy(db);
+    const values = {};
+
+    const resolutions = [
+        ['starting_position', taxonomy.positions, DEFAULT_POSITION_ID],
+        ['ending_position', taxonomy.positions, DEFAULT_POSITION_ID],
+        ['movement_type', taxonomy.movementTypes, DEFAULT_MOVEMENT_TYPE_ID],
+    ];
+
+    for (const [field, index, defaultId] of resolutions) {
+        const result = resolveField(index, fields[field], fields[`${field}_id`], defaultId, field);
+        if (result.error) {
+            return { error: result.error };
+        }
+        values[field] = result.text;
+        values[`${field}_id`] = result.id;
+    }
+
+    for (const field of ['starting_top_bottom', 'ending_top_bottom']) {
+        const value = fields[field] ? String(fields[field]).trim().toUpperCase() : DEFAULT_TOP_BOTTOM;
+        if (!TOP_BOTTOM_VALUES.includes(value)) {
+            return { error: `${field} must be one of: ${TOP_BOTTOM_VALUES.join(', ')}` };
+        }
+        values[field] = value;
+    }
+
+    return { values };
+};
+
+// Find an entry by id, label or alias
+const findEntry = (index, value) => {
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    return index.byId.get(value.trim()) || index.byLabel.get(normalizeLabel(value)) || null;
+};
+
+// Ids of a position and every position nested under it
+const positionWithDescendants = (index, id) => {
+    const ids = new Set([id]);
+    let added = true;
+    while (added) {
+        added = false;
+        index.entries.forEach((entry) => {
+            if (entry.parent_id && ids.has(entry.parent_id) && !ids.has(entry.id)) {
+                ids.add(entry.id);
+                added = true;
+            }
+        });
+    }
+    return ids;
+};
+
+// Shape an entry for the API, with `label` in the requested language
+const presentEntry = (entry, language) => ({
+    id: entry.id,
+    ...(entry.parent_id !== undefined ? { parent_id: entry.parent_id } : {}),
+    label: entry.labels[language] || entry.labels.English,
+    labels: entry.labels,
+});
+
+// Nest positions under their parents, keeping sort order at each level
+const buildPositionTree = (entries, language) => {
+    const nodes = new Map(entries.map((entry) => [entry.id, { ...presentEntry(entry, language), children: [] }]));
+    const roots = [];
+    nodes.forEach((node) => {
+        const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+        (parent ? parent.children : roots).push(node);
+    });
+    return roots;
+};
+
+// The ?language= of a request, defaulting to English; null if unsupported
+const parseLanguage = (event) => {
+    const { language = 'English' } = event.queryStringParameters || {};
+    return LABEL_COLUMNS[language] ? language : null;
+};
+
+// Label of a taxonomy entry in `language`, or null for ids outside the taxonomy
+const localizedLabel = (index, id, language) => {
+    const entry = id ? index.byId.get(id) : null;
+    return entry ? entry.labels[language] || entry.labels.English : null;
+};
+
+// Handle Get All Positions
+const handleGetAllPositions = async (event, db) => {
+    const language = parseLanguage(event);
+    if (!language) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `Language must be one of: ${Object.keys(LABEL_COLUMNS).join(', ')}` })
+        };
+    }
+
+    const { format = 'tree' } = event.queryStringParameters || {};
+
+    try {
+        const taxonomy = await loadTaxonomy(db);
+        const positions = format === 'flat'
+            ? taxonomy.positions.entries.map((entry) => presentEntry(entry, language))
+            : buildPositionTree(taxonomy.positions.entries, language);
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                language,
+                positions,
+                top_bottom: TOP_BOTTOM_VALUES
+            })
+        };
+    } catch (error) {
+        console.error('Error fetching positions:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to fetch positions', details: error.message })
+        };
+    }
+};
+
+// Handle Get Movement Types
+const handleGetMovementTypes = async (event, db) => {
+    const language = parseLanguage(event);
+    if (!language) {
+        return {
+            statusCode: 400,
+            body: JSON.stringify({ error: `Language must be one of: ${Object.keys(LABEL_COLUMNS).join(', ')}` })
+        };
+    }
+
+    try {
+        const taxonomy = await loadTaxonomy(db);
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                language,
+                movement_types: taxonomy.movementTypes.entries.map((entry) => presentEntry(entry, language))
+            })
+        };
+    } catch (error) {
+        console.error('Error fetching movement types:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to fetch movement types', details: error.message })
+        };
+    }
+};
+
+module.exports = {
+    DEFAULT_TOP_BOTTOM,
+    TOP_BOTTOM_VALUES,
+    LABEL_LANGUAGES: Object.keys(LABEL_COLUMNS),
+    loadTaxonomy,
+    resolvePostTaxonomy,
+    parseLanguage,
+    localizedLabel,
+    findEntry,
+    positionWithDescendants,
+    handleGetAllPositions,
+    handleGetMovementTypes,
+};
@@ -0,0 +1,98 @@
+// Language-aware text search for posts.
+//
+// English posts are matched with PostgreSQL full-text search on search_vector.
+// Japanese and Traditional Chinese don't separate words with spaces, so those
+// posts are matched by substring on the search_text column (see
+// migrations/001_cjk_search.sql), which the trigram index accelerates.
+
+const SEARCH_MODE_ENGLISH = 'english';
+const SEARCH_MODE_CJK = 'cjk';
+const SEARCH_MODE_ALL = 'all';
+
+// Hiragana, katakana, CJK ideographs and their compatibility/extension blocks
+const CJK_PATTERN = /[぀-ヿ㐀-䶿一-鿿豈-﫿ｦ-ﾟ]/;
+
+const LANGUAGE_MODES = {
+    'English': SEARCH_MODE_ENGLISH,
+    'Japanese': SEARCH_MODE_CJK,
+    'Traditional Chinese': SEARCH_MODE_CJK,
+};
+
+// Pick how to match a search string. An explicit searchLanguage wins ('all'
+// searches every language), then the post language filter, then whether the
+// query itself contains CJK characters.
+const resolveSearchMode = (search, { searchLanguage = '', language = '' } = {}) => {
+    if (searchLanguage === SEARCH_MODE_ALL) return SEARCH_MODE_ALL;
+    if (LANGUAGE_MODES[searchLanguage]) return LANGUAGE_MODES[searchLanguage];
+    if (LANGUAGE_MODES[language]) return LANGUAGE_MODES[language];
+    return CJK_PATTERN.test(search) ? SEARCH_MODE_CJK : SEARCH_MODE_ENGLISH;
+};
+
+const isValidSearchLanguage = (searchLanguage) =>
+    !searchLanguage || searchLanguage === SEARCH_MODE_ALL || Boolean(LANGUAGE_MODES[searchLanguage]);
+
+const escapeLikePattern = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// Build the match condition and relevance expression for posts aliased as
+// `alias`. Returns { condition, rankExpr, params } with placeholders numbered
+// from `paramCounter`. The rank is rounded so it compares exactly when it is
+// round-tripped through a pagination cursor.
+const buildPostSearch = (alias, search, mode, paramCounter) => {
+    const query = search.trim();
+    const params = [];
+    const nextParam = (value) => {
+        params.push(value);
+        return `$${paramCounter + params.length - 1}`;
+    };
+
+    // Only bind what the chosen mode references: Postgres rejects statements
+    // with parameters it can't infer a type for
+    let englishCondition = null;
+    let englishRank = null;
+    if (mode !== SEARCH_MODE_CJK) {
+        const queryParam = nextParam(query);
+        englishCondition = `${alias}.search_vector @@ plainto_tsquery('english', ${queryParam})`;
+        englishRank = `ts_rank(${alias}.search_vector, plainto_tsquery('english', ${queryParam}))`;
+    }
+
+    let cjkCondition = null;
+    let cjkRank = null;
+    if (mode !== SEARCH_MODE_ENGLISH) {
+        // Every whitespace-separated term has to appear somewhere in the post
+        const termParams = query.toLowerCase().split(/\s+/).filter(Boolean)
+            .map((term) => nextParam(`%${escapeLikePattern(term)}%`));
+        cjkCondition = `(${termParams.map((param) => `${alias}.search_text LIKE ${param}`).join(' AND ')})`;
+        // Terms found in the title count most; shorter texts win ties
+        cjkRank = `(${termParams.map((param) => `(CASE WHEN lower(${alias}.title) LIKE ${param} THEN 1 ELSE 0 END)`).join(' + ')}
+            + 1.0 / (1 + length(${alias}.search_text)))`;
+    }
+
+    let condition;
+    let rank;
+    if (mode === SEARCH_MODE_CJK) {
+        condition = cjkCondition;
+        rank = cjkRank;
+    } else if (mode === SEARCH_MODE_ALL) {
+        condition = `(${englishCondition} OR ${cjkCondition})`;
+        rank = `GREATEST(${englishRank}, ${cjkRank})`;
+    } else {
+        condition = englishCondition;
+        rank = englishRank;
+    }
+
+    return {
+        condition,
+        rankExpr: `ROUND((${rank})::numeric, 6)`,
+        params,
+    };
+};
+
+module.exports = {
+    SEARCH_MODE_ENGLISH,
+    SEARCH_MODE_CJK,
+    SEARCH_MODE_ALL,
+    resolveSearchMode,
+    isValidSearchLanguage,
+    buildPostSearch,
+    escapeLikePattern,
+};
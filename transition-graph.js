@@ -0,0 +1,235 @@
+// Position-transition graphs built from posts.
+//
+// Every post is an edge from its starting position to its ending position.
+// A node is a position seen from one side (TOP, BOTTOM or NEUTRAL), so
+// "Closed Guard" on bottom and "Closed Guard" on top are different nodes.
+// Positions are keyed by their taxonomy id when they have one and by their
+// normalized text otherwise.
+
+const { DEFAULT_TOP_BOTTOM } = require('./taxonomy-handlers');
+
+// Post columns the graph needs, for posts aliased as `alias`
+const graphPostColumns = (alias) => `
+    ${alias}.id, ${alias}.title, ${alias}.video_id, ${alias}.video_platform,
+    ${alias}.sequence_start_time, ${alias}.movement_type, ${alias}.movement_type_id,
+    ${alias}.gi_nogi, ${alias}.starting_position, ${alias}.starting_position_id,
+    ${alias}.starting_top_bottom, ${alias}.ending_position, ${alias}.ending_position_id,
+    ${alias}.ending_top_bottom
+`;
+
+const positionKey = (positionId, text) =>
+    positionId || `text:${(text || '').trim().replace(/\s+/g, ' ').toLowerCase()}`;
+
+// Older posts may hold top/bottom values in any case
+const normalizeTopBottom = (topBottom) => (topBottom ? String(topBottom).trim().toUpperCase() : DEFAULT_TOP_BOTTOM);
+
+const nodeId = (positionId, text, topBottom) =>
+    `${positionKey(positionId, text)}|${normalizeTopBottom(topBottom)}`;
+
+// The part of a post shown on an edge
+const edgePost = (post) => ({
+    id: post.id,
+    title: post.title,
+    video_id: post.video_id,
+    video_platform: post.video_platform,
+    sequence_start_time: post.sequence_start_time,
+    movement_type: post.movement_type,
+    gi_nogi: post.gi_nogi,
+});
+
+// Build { nodes, edges } from posts selected with graphPostColumns. Edges
+// group posts sharing a source and target; `count` is the number of posts.
+const buildTransitionGraph = (posts) => {
+    const nodes = new Map();
+    const edges = new Map();
+
+    const touchNode = (positionId, text, topBottom) => {
+        const id = nodeId(positionId, text, topBottom);
+        if (!nodes.has(id)) {
+            nodes.set(id, {
+                id,
+                position_id: positionId || null,
+                position: text,
+                top_bottom: normalizeTopBottom(topBottom),
+                in_count: 0,
+                out_count: 0,
+            });
+        }
+        return nodes.get(id);
+    };
+
+    posts.forEach((post) => {
+        const source = touchNode(post.starting_position_id, post.starting_position, post.starting_top_bottom);
+        const target = touchNode(post.ending_position_id, post.ending_position, post.ending_top_bottom);
+        source.out_count++;
+        target.in_count++;
+
+        const edgeId = `${source.id}->${target.id}`;
+        if (!edges.has(edgeId)) {
+            edges.set(edgeId, {
+                id: edgeId,
+                source: source.id,
+                target: target.id,
+                count: 0,
+                movement_types: {},
+                posts: [],
+            });
+        }
+        const edge = edges.get(edgeId);
+        edge.count++;
+        edge.movement_types[post.movement_type] = (edge.movement_types[post.movement_type] || 0) + 1;
+        edge.posts.push(edgePost(post));
+    });
+
+    return {
+        nodes: [...nodes.values()],
+        edges: [...edges.values()],
+    };
+};
+
+// Chains longer than this are rarely useful and make the search explode
+const MAX_CHAIN_LENGTH = 6;
+
+// Upper bound on partial chains kept per search depth
+const MAX_FRONTIER = 5000;
+
+// Find up to `limit` chains of edges leading from a node matching `isStart`
+// to a node matching `isGoal`, visiting no node twice. Shorter chains come
+// first; among chains of equal length, those backed by more posts win.
+// Returns [{ nodes, edges }] with ids into `graph`.
+const findChains = (graph, isStart, isGoal, { limit, maxLength }) => {
+    const outgoing = new Map();
+    graph.edges.forEach((edge) => {
+        if (!outgoing.has(edge.source)) outgoing.set(edge.source, []);
+        outgoing.get(edge.source).push(edge);
+    });
+
+    const nodesById = new Map(graph.nodes.map((node) => [node.id, node]));
+    const support = (chain) => chain.edges.reduce((total, edge) => total + edge.count, 0);
+
+    let frontier = graph.nodes
+        .filter(isStart)
+        .map((node) => ({ nodes: [node.id], edges: [] }));
+    const found = [];
+
+    // Breadth-first, one chain length at a time, so the first chains that
+    // reach the goal are the shortest ones
+    for (let length = 1; length <= maxLength && frontier.length > 0 && found.length < limit; length++) {
+        const next = [];
+        const reached = [];
+
+        frontier.forEach((chain) => {
+            const last = chain.nodes[chain.nodes.length - 1];
+            (outgoing.get(last) || []).forEach((edge) => {
+                if (chain.nodes.includes(edge.target)) return;
+                const extended = { nodes: [...chain.nodes, edge.target], edges: [...chain.edges, edge] };
+                if (isGoal(nodesById.get(edge.target))) {
+                    reached.push(extended);
+                } else if (next.length < MAX_FRONTIER) {
+                    next.push(extended);
+                }
+            });
+        });
+
+        reached.sort((a, b) => support(b) - support(a));
+        found.push(...reached.slice(0, limit - found.length));
+        frontier = next;
+    }
+
+    return found;
+};
+
+// Movement types that get a player out from underneath
+const ESCAPE_MOVEMENT_TYPE_IDS = ['escape', 'defense', 'sweep'];
+const ESCAPE_MOVEMENT_TYPE_PATTERN = /escape|defen[cs]e|sweep/i;
+
+// Rulesets a post can cover; 'Both' covers each of them
+const GI_NOGI_RULESETS = ['Gi', 'No-Gi'];
+
+const rulesetsOf = (giNogi) => {
+    const normalized = (giNogi || '').toLowerCase().replace(/[^a-z]/g, '');
+    if (normalized === 'both') return GI_NOGI_RULESETS;
+    if (normalized === 'nogi') return ['No-Gi'];
+    if (normalized === 'gi') return ['Gi'];
+    return [];
+};
+
+const isEscape = (post) => (post.movement_type_id
+    ? ESCAPE_MOVEMENT_TYPE_IDS.includes(post.movement_type_id)
+    : ESCAPE_MOVEMENT_TYPE_PATTERN.test(post.movement_type || ''));
+
+// Review a graph built from `posts` for holes. `isTerminal` marks nodes that
+// end a sequence (such as submissions), which are never dead ends; `isEntry`
+// marks where the plan starts, and when no node matches it, nodes without
+// incoming techniques are used instead. Returns node ids grouped by problem.
+const analyzeCoverage = (graph, posts, { isTerminal, isEntry }) => {
+    const outgoingPosts = new Map(graph.nodes.map((node) => [node.id, []]));
+    posts.forEach((post) => {
+        outgoingPosts.get(nodeId(post.starting_position_id, post.starting_position, post.starting_top_bottom)).push(post);
+    });
+
+    // Entered, but nothing leads out
+    const deadEnds = graph.nodes
+        .filter((node) => node.in_count > 0 && node.out_count === 0 && !isTerminal(node))
+        .map((node) => node.id);
+
+    // On bottom without a way out from underneath
+    const missingEscapes = graph.nodes
+        .filter((node) => node.top_bottom === 'BOTTOM' && !isTerminal(node))
+        .filter((node) => !outgoingPosts.get(node.id).some(isEscape))
+        .map((node) => node.id);
+
+    let entryPoints = graph.nodes.filter(isEntry);
+    if (entryPoints.length === 0) {
+        entryPoints = graph.nodes.filter((node) => node.in_count === 0);
+    }
+    const reachable = new Set(entryPoints.map((node) => node.id));
+    const queue = [...reachable];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        graph.edges.forEach((edge) => {
+            if (edge.source === current && !reachable.has(edge.target)) {
+                reachable.add(edge.target);
+                queue.push(edge.target);
+            }
+        });
+    }
+    const unreachable = graph.nodes
+        .filter((node) => !reachable.has(node.id))
+        .map((node) => node.id);
+
+    // Positions with techniques out of them in one ruleset but not the other
+    const giNogiGaps = [];
+    graph.nodes.forEach((node) => {
+        const covered = new Set(outgoingPosts.get(node.id).flatMap((post) => rulesetsOf(post.gi_nogi)));
+        const missing = GI_NOGI_RULESETS.filter((ruleset) => !covered.has(ruleset));
+        if (node.out_count > 0 && missing.length > 0) {
+            giNogiGaps.push({ node: node.id, covered: [...covered], missing });
+        }
+    });
+
+    const rulesetCounts = Object.fromEntries(GI_NOGI_RULESETS.map((ruleset) => [
+        ruleset,
+        posts.filter((post) => rulesetsOf(post.gi_nogi).includes(ruleset)).length
+    ]));
+
+    return {
+        entry_points: entryPoints.map((node) => node.id),
+        dead_ends: deadEnds,
+        missing_escapes: missingEscapes,
+        unreachable,
+        gi_nogi_gaps: giNogiGaps,
+        gi_nogi_post_counts: rulesetCounts,
+    };
+};
+
+module.exports = {
+    MAX_CHAIN_LENGTH,
+    graphPostColumns,
+    positionKey,
+    nodeId,
+    normalizeTopBottom,
+    buildTransitionGraph,
+    findChains,
+    analyzeCoverage,
+};
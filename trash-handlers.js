@@ -0,0 +1,222 @@
+const { isNotesPathShared } = require('./post-handlers');
+
+// Days a trashed post or game plan is kept before the purge removes it
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Rows removed per purge run, so one run fits in the Lambda timeout
+const PURGE_BATCH_SIZE = 200;
+
+const getRetentionDays = () => {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+    return Number.isNaN(days) || days < 0 ? DEFAULT_TRASH_RETENTION_DAYS : days;
+};
+
+// Handle List Trash
+const handleListTrash = async (event, db, user) => {
+    const retentionDays = getRetentionDays();
+
+    try {
+        const [posts] = await db.execute(`
+            SELECT id, title, video_id, video_platform, public_status, deleted_at,
+                   deleted_at + make_interval(days => $2) AS purge_at
+            FROM posts
+            WHERE owner_id = $1 AND deleted_at IS NOT NULL
+            ORDER BY deleted_at DESC
+        `, [user.user_id, retentionDays]);
+
+        const [gamePlans] = await db.execute(`
+            SELECT g.id, g.name, g.description, g.public_status, g.deleted_at,
+                   g.deleted_at + make_interval(days => $2) AS purge_at,
+                   (SELECT COUNT(*) FROM game_plan_posts gpp JOIN posts p ON p.id = gpp.post_id
+                    WHERE gpp.game_plan_id = g.id AND p.deleted_at IS NULL) AS post_count
+            FROM game_plans g
+            WHERE g.owner_id = $1 AND g.deleted_at IS NOT NULL
+            ORDER BY g.deleted_at DESC
+        `, [user.user_id, retentionDays]);
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                retention_days: retentionDays,
+                posts,
+                game_plans: gamePlans
+            })
+        };
+    } catch (error) {
+        console.error('Error listing trash:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to list trash', details: error.message })
+        };
+    }
+};
+
+// Handle Restore Post From Trash
+const handleRestorePost = async (event, db, user) => {
+    const postId = event.pathParameters?.id;
+
+    try {
+        const [restored] = await db.execute(
+            `UPDATE posts SET deleted_at = NULL
+             WHERE id = $1 AND owner_id = $2 AND deleted_at IS NOT NULL
+             RETURNING id`,
+            [postId, user.user_id]
+        );
+
+        if (restored.length === 0) {
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Post not found in trash' })
+            };
+        }
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ message: 'Post restored', post_id: postId })
+        };
+    } catch (error) {
+        console.error('Error restoring post:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to restore post', details: error.message })
+        };
+    }
+};
+
+// Handle Restore Game Plan From Trash
+const handleRestoreGamePlan = async (event, db, user) => {
+    const gamePlanId = event.pathParameters?.id;
+
+    try {
+        const [restored] = await db.execute(
+            `UPDATE game_plans SET deleted_at = NULL
+             WHERE id = $1 AND owner_id = $2 AND deleted_at IS NOT NULL
+             RETURNING id`,
+            [gamePlanId, user.user_id]
+        );
+
+        if (restored.length === 0) {
+            return {
+                statusCode: 404,
+                body: JSON.stringify({ error: 'Game plan not found in trash' })
+            };
+        }
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ message: 'Game plan restored', game_plan_id: gamePlanId })
+        };
+    } catch (error) {
+        console.error('Error restoring game plan:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ error: 'Failed to restore game plan', details: error.message })
+        };
+    }
+};
+
+// Permanently remove posts and game plans trashed more than `retentionDays`
+// ago, together with post notes in S3 and game plan memberships. Each row is
+// removed in its own transaction that re-checks it is still trashed, so a
+// restore racing the purge wins. Returns counts for the run.
+const purgeExpiredTrash = async (db, { retentionDays = getRetentionDays(), batchSize = PURGE_BATCH_SIZE } = {}) => {
+    const { deleteMarkdownFromS3 } = require('./s3-helper');
+    const summary = { retention_days: retentionDays, posts: 0, game_plans: 0, notes_deleted: 0, failed: 0 };
+
+    const [expiredPosts] = await db.execute(`
+        SELECT id FROM posts
+        WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+        ORDER BY deleted_at
+        LIMIT ${batchSize}
+    `, [retentionDays]);
+
+    for (const { id } of expiredPosts) {
+        try {
+            await db.beginTransaction();
+
+            const [rows] = await db.execute(
+                `SELECT notes_path FROM posts
+                 WHERE id = $1 AND deleted_at < CURRENT_TIMESTAMP - make_interval(days => $2)
+                 FOR UPDATE`,
+                [id, retentionDays]
+            );
+            if (rows.length === 0) {
+                await db.rollback();
+                continue;
+            }
+
+            const notesPath = rows[0].notes_path;
+            const deleteNotes = notesPath && !(await isNotesPathShared(db, notesPath, id));
+
+            await db.execute('DELETE FROM game_plan_posts WHERE post_id = $1', [id]);
+            await db.execute('DELETE FROM posts WHERE id = $1', [id]);
+
+            await db.commit();
+            summary.posts++;
+
+            // The notes go only once the post is gone; if S3 fails, the
+            // orphaned file is harmless and nothing points at it
+            if (deleteNotes) {
+                try {
+                    await deleteMarkdownFromS3(notesPath);
+                    summary.notes_deleted++;
+                } catch (s3Error) {
+                    console.error(`Error deleting notes file for purged post ${id}:`, s3Error);
+                }
+            }
+        } catch (error) {
+            if (db.connection.inTransaction) {
+                await db.rollback();
+            }
+            console.error(`Error purging post ${id}:`, error);
+            summary.failed++;
+        }
+    }
+
+    const [expiredGamePlans] = await db.execute(`
+        SELECT id FROM game_plans
+        WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+        ORDER BY deleted_at
+        LIMIT ${batchSize}
+    `, [retentionDays]);
+
+    for (const { id } of expiredGamePlans) {
+        try {
+            await db.beginTransaction();
+
+            const [rows] = await db.execute(
+                `SELECT id FROM game_plans
+                 WHERE id = $1 AND deleted_at < CURRENT_TIMESTAMP - make_interval(days => $2)
+                 FOR UPDATE`,
+                [id, retentionDays]
+            );
+            if (rows.length === 0) {
+                await db.rollback();
+                continue;
+            }
+
+            // Sections go with the plan (ON DELETE CASCADE)
+            await db.execute('DELETE FROM game_plan_posts WHERE game_plan_id = $1', [id]);
+            await db.execute('DELETE FROM game_plans WHERE id = $1', [id]);
+
+            await db.commit();
+            summary.game_plans++;
+        } catch (error) {
+            if (db.connection.inTransaction) {
+                await db.rollback();
+            }
+            console.error(`Error purging game plan ${id}:`, error);
+            summary.failed++;
+        }
+    }
+
+    console.log('Trash purge finished:', JSON.stringify(summary));
+    return summary;
+};
+
+module.exports = {
+    handleListTrash,
+    handleRestorePost,
+    handleRestoreGamePlan,
+    purgeExpiredTrash,
+};
@@ -0,0 +1,166 @@
+// Video links for posts.
+//
+// Clients may send a raw video URL instead of a pre-split video_id and
+// video_platform. Supported are YouTube (watch, youtu.be, shorts, embed and
+// live links), Bilibili (BV ids), Vimeo and Instagram (posts and reels). A
+// `t=` timestamp in the link becomes the post's sequence_start_time.
+
+// Canonical platform names stored in posts.video_platform
+const SUPPORTED_PLATFORMS = ['youtube', 'bilibili', 'vimeo', 'instagram'];
+
+// What a video id looks like on each platform
+const VIDEO_ID_PATTERNS = {
+    youtube: /^[A-Za-z0-9_-]{11}$/,
+    bilibili: /^BV[0-9A-Za-z]{10}$/,
+    vimeo: /^\d+$/,
+    instagram: /^[A-Za-z0-9_-]+$/,
+};
+
+// Longest start time that fits HH:MM:SS
+const MAX_START_SECONDS = 99 * 3600 + 59 * 60 + 59;
+
+// Host without "www." / "m." prefixes, lowercased
+const baseHost = (hostname) => hostname.toLowerCase().replace(/^(www|m|music)\./, '');
+
+// Parse a timestamp such as "90", "90s", "1m30s", "1h2m3s" or "01:30" into
+// whole seconds, or null when it isn't one
+const parseTimestamp = (value) => {
+    if (!value) return null;
+
+    if (/^\d+(\.\d+)?s?$/.test(value)) {
+        return Math.floor(parseFloat(value));
+    }
+
+    const units = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (units && (units[1] || units[2] || units[3])) {
+        return (Number(units[1]) || 0) * 3600 + (Number(units[2]) || 0) * 60 + (Number(units[3]) || 0);
+    }
+
+    const clock = value.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+    if (clock) {
+        return (Number(clock[1]) || 0) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+    }
+
+    return null;
+};
+
+const formatSeconds = (seconds) => [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+    .map((part) => String(part).padStart(2, '0'))
+    .join(':');
+
+// Platform and id for a parsed URL, or null when the link isn't a video on
+// a supported platform
+const identifyVideo = (url) => {
+    const host = baseHost(url.hostname);
+    const segments = url.pathname.split('/').filter(Boolean);
+
+    if (host === 'youtu.be') {
+        return { platform: 'youtube', videoId: segments[0] };
+    }
+    if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+        if (segments[0] === 'watch') {
+            return { platform: 'youtube', videoId: url.searchParams.get('v') };
+        }
+        if (['shorts', 'embed', 'live', 'v'].includes(segments[0])) {
+            return { platform: 'youtube', videoId: segments[1] };
+        }
+        return null;
+    }
+
+    if (host === 'bilibili.com' || host === 'b23.tv' || host === 'player.bilibili.com') {
+        const bvid = url.searchParams.get('bvid') || segments.find((segment) => /^BV/i.test(segment));
+        return { platform: 'bilibili', videoId: bvid };
+    }
+
+    if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+        // vimeo.com/123, vimeo.com/channels/name/123, player.vimeo.com/video/123
+        return { platform: 'vimeo', videoId: segments.find((segment) => /^\d+$/.test(segment)) };
+    }
+
+    if (host === 'instagram.com') {
+        if (['p', 'reel', 'reels', 'tv'].includes(segments[0])) {
+            return { platform: 'instagram', videoId: segments[1] };
+        }
+        return null;
+    }
+
+    return null;
+};
+
+// Split a video URL into { platform, video_id, start_time } (start_time as
+// HH:MM:SS, or null without a timestamp), or { error } saying what's wrong
+const parseVideoUrl = (value) => {
+    let url;
+    try {
+        url = new URL(String(value).trim());
+    } catch (error) {
+        return { error: 'video_url is not a valid URL' };
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return { error: 'video_url must be an http(s) link' };
+    }
+
+    const video = identifyVideo(url);
+    if (!video) {
+        return { error: 'video_url must be a YouTube, Bilibili, Vimeo or Instagram video link' };
+    }
+    if (!video.videoId || !VIDEO_ID_PATTERNS[video.platform].test(video.videoId)) {
+        return { error: `video_url has no valid ${video.platform} video id` };
+    }
+
+    // Vimeo puts the timestamp in the fragment (#t=90s)
+    const hashParams = new URLSearchParams(url.hash.replace(/^#/, ''));
+    const timestamp = url.searchParams.get('t') || url.searchParams.get('start') || hashParams.get('t');
+    let startTime = null;
+    if (timestamp) {
+        const seconds = parseTimestamp(timestamp);
+        if (seconds === null || seconds > MAX_START_SECONDS) {
+            return { error: `video_url has an invalid timestamp: ${timestamp}` };
+        }
+        startTime = formatSeconds(seconds);
+    }
+
+    return { platform: video.platform, video_id: video.videoId, start_time: startTime };
+};
+
+// Work out a post's video_id, video_platform and sequence_start_time from
+// either video_url or the pre-split fields. A URL's timestamp is only used
+// when no sequence_start_time was given. Missing fields are left for the
+// caller's required-field check. Returns { values } or { error }.
+const resolveVideoFields = ({ video_url: videoUrl, video_id: videoId, video_platform: videoPlatform, sequence_start_time: sequenceStartTime }) => {
+    if (videoUrl) {
+        const parsed = parseVideoUrl(videoUrl);
+        if (parsed.error) {
+            return { error: parsed.error };
+        }
+        return {
+            values: {
+                video_id: parsed.video_id,
+                video_platform: parsed.platform,
+                sequence_start_time: sequenceStartTime || parsed.start_time
+            }
+        };
+    }
+
+    if (!videoId || !videoPlatform) {
+        return { values: { video_id: videoId, video_platform: videoPlatform, sequence_start_time: sequenceStartTime } };
+    }
+
+    const platform = String(videoPlatform).trim().toLowerCase();
+    if (!SUPPORTED_PLATFORMS.includes(platform)) {
+        return { error: `Video platform must be one of: ${SUPPORTED_PLATFORMS.join(', ')}` };
+    }
+
+    const id = String(videoId).trim();
+    if (!VIDEO_ID_PATTERNS[platform].test(id)) {
+        return { error: `Video ID is not a valid ${platform} video id` };
+    }
+
+    return { values: { video_id: id, video_platform: platform, sequence_start_time: sequenceStartTime } };
+};
+
+module.exports = {
+    SUPPORTED_PLATFORMS,
+    parseVideoUrl,
+    resolveVideoFields,
+};
@@ -0,0 +1,34 @@
+// Shared visibility policy for posts and game plans.
+//
+// Both tables carry public_status ('public', 'subscribers' or 'private') and
+// owner_id. Public and subscriber content is visible to everyone; private
+// content is only visible to its owner. Trashed rows (deleted_at set) are
+// visible to no one outside the trash endpoints. Callers that hide content
+// from a viewer should respond with 404 rather than 403 so private ids don't
+// leak.
+
+const VISIBLE_STATUSES = ['public', 'subscribers'];
+
+// The viewer's user id, or null for anonymous requests
+const getViewerId = (user) => (user && user.user_id) || null;
+
+const isOwner = (row, user) => Boolean(row && user && user.user_id === row.owner_id);
+
+// In-memory check for a row that has already been fetched; the row must
+// include deleted_at
+const canView = (row, user) => Boolean(row) && !row.deleted_at &&
+    (VISIBLE_STATUSES.includes(row.public_status) || isOwner(row, user));
+
+// SQL condition limiting rows of `alias` to those the viewer can see.
+// The viewer id must be bound at $paramIndex (null for anonymous viewers).
+const visibilityCondition = (alias, paramIndex) => `(${alias}.deleted_at IS NULL AND (
+            ${alias}.public_status IN (${VISIBLE_STATUSES.map((status) => `'${status}'`).join(', ')}) OR
+            (${alias}.public_status = 'private' AND ${alias}.owner_id = $${paramIndex})
+        ))`;
+
+module.exports = {
+    getViewerId,
+    isOwner,
+    canView,
+    visibilityCondition,
+};